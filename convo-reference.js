@@ -9,6 +9,38 @@
 // CDN: https://cdn.jsdelivr.net/gh/basfenix/tm_convoref/convo-reference.js
 //
 // Changelog:
+// Unreleased
+//   - Search matches message bodies as well as titles, ranked by relevance with highlighted snippets
+//   - Picking a chat opens a message selection step (all/none, last N turns, ranges)
+//   - Token estimate for the reference and prompt, with truncation strategies when over CONFIG.tokenBudget
+//   - Reference formats: plain, Markdown, XML tags, JSON and user-defined CONFIG.customTemplates
+//   - Multi-chat basket: pick several chats (or message subsets) and insert them as one combined block
+//   - Sort options and filters (model, date range, message count, folder/tag), remembered between openings
+//   - "Insert summary": AI-generated summaries via an OpenAI-compatible endpoint, cached per chat
+//   - Inline trigger: type @@ plus part of a title or message in the chat input to pick a conversation
+//   - Accessible dialog: focus trap, listbox keyboard navigation, result announcements, Mod+Alt+R shortcut
+//   - Theme-aware styling: scoped stylesheet with CSS variables that follows TypingMind's dark mode live
+//   - Opt-in toggles to include the system prompt, tool calls, image placeholders and attachment text
+//   - Live links: insert a [[ref:chatId#msgs=3-7]] token that is expanded to the chat's latest content on send
+//   - Large histories: cursor-built chat index kept up to date in the background, virtualized list, lazy message loading
+//   - Export chats (single or basket) to Markdown with front matter, normalized JSON or a self-contained HTML page
+//   - Settings view (debug, format, budget, sort, shortcut, UI text, custom CSS) stored with schema versioning
+//   - Fixed: debug logging was on by default, and CONFIG.version said 1.0.0 instead of 1.1.0
+//   - Ordered selector fallbacks for the action bar and chat input, a floating button on chat pages
+//     when none match, and window.convoRef.diagnose() to report which ones did
+//   - Fixed: chat titles, model names and CONFIG text were inserted as HTML; they're now set as text,
+//     and snippet highlights go through an allowlist sanitizer
+//   - Pinned chats and a "Recently referenced" history above the list, with one-click re-insertion
+//   - Preview pane beside the list with rendered Markdown and the exact text to insert; inserting a whole
+//     chat or its summary now goes through the pane's buttons instead of row buttons
+//   - Related conversations: local TF-IDF similarity (computed in a Web Worker) between the prompt being typed
+//     and past chats, shown as a count on the button and a scored "Related to your prompt" section
+//   - Delivery modes (at cursor, start or end of the prompt, clipboard), native undo via the browser's editing
+//     commands plus an "Undo reference" action, and a clipboard fallback when TypingMind rejects the insert
+//   - Redaction of API keys, emails, phone numbers and custom regexes in inserted references, with the masked
+//     items highlighted in the preview and a count noted in the inserted text
+//   - Custom reference formats can be edited (as JSON, validated on save) in the settings view
+//
 // v1.1.0 (2025-05-16)
 //   - Only injects on chat pages (fixes plugin page bug)
 //   - Removes floating/backup button
@@ -22,8 +54,8 @@
   // Configuration
   // ----------------------------------------
   const CONFIG = {
-    version: '1.0.0',
-    debug: true,                     // Enable console logging
+    version: '1.1.0',
+    debug: false,                    // Enable console logging
     initialCheckDelay: 2000,         // Delay before first button injection attempt
     buttonRetryDelay: 1000,          // Milliseconds to wait between retries
     maxRetryAttempts: 5,             // Maximum number of retries for button injection
@@ -31,7 +63,94 @@
     modalTitle: 'Select a conversation to reference',
     searchPlaceholder: 'Search conversations...',
     noResultsText: 'No matching conversations found.',
-    cancelButtonText: 'Cancel'
+    cancelButtonText: 'Cancel',
+    searchDebounce: 150,             // Milliseconds to wait after a keystroke before searching
+    indexBatchSize: 200,             // Chats read per cursor batch before yielding to the UI
+    snippetRadius: 60,               // Characters of context shown around a search match
+    searchIndexMaxChars: 100000,     // Characters of each chat's messages kept in memory for search (half from the start, half from the end)
+    indexingText: 'Indexing conversations...',
+    defaultLastTurns: 3,             // Preset for the "Last N turns" shortcut
+    messagePreviewLength: 280,       // Characters of each message shown in the selection step
+    selectMessagesTitle: 'Select messages to include',
+    backButtonText: 'Back',
+    insertButtonText: 'Insert',
+    addToBasketText: 'Add to basket',
+    insertBasketText: 'Insert combined',
+    filtersButtonText: 'Filters',
+    folderListKey: 'TM_useFolderList', // keyval-store key holding TypingMind's folder list
+    tokenBudget: 8000,               // Max estimated tokens for the prompt (current input + reference)
+    charsPerToken: 4,                // Rough characters-per-token ratio used for estimates
+    truncationStrategy: 'head-tail', // Default when over budget: 'none', 'head-tail', 'user-only' or 'recent'
+    defaultTemplate: 'plain',        // Reference format used until the user picks another one in the modal
+    // User-defined reference formats, same shape as the built-in REFERENCE_TEMPLATES, e.g.
+    // { mine: { label: 'Mine', header: '<<{{title}}>>\n', message: '{{role}}> {{content}}\n', footer: '<</ref>>\n' } }
+    // Also editable as JSON in the settings view, which overrides this value.
+    customTemplates: {},
+    insertFullText: 'Insert full',
+    insertSummaryText: 'Insert summary',
+    summarizingText: 'Summarizing...',
+    // AI summaries use an OpenAI-compatible chat completions endpoint. Leave summaryEndpoint and
+    // summaryApiKey empty to reuse the base URL and key TypingMind keeps in localStorage. TypingMind's key
+    // is only sent to that provider: any other summaryEndpoint needs summaryApiKey (local servers excepted).
+    summaryEndpoint: '',             // Full URL, e.g. 'http://localhost:8080/v1/chat/completions'
+    summaryApiKey: '',
+    summaryModel: 'gpt-4o-mini',
+    summaryMaxInputTokens: 12000,    // Transcripts longer than this are trimmed (first and last turns kept)
+    summaryCacheSize: 100,           // Summaries kept in localStorage, oldest evicted first
+    summaryPrompt: 'Summarize the following conversation so it can be used as context in a new chat. Keep key facts, decisions, code identifiers and open questions. Be concise.',
+    apiKeyStorageKeys: ['TM_useAPIKey', 'TM_useOpenAIKey'],
+    apiBaseUrlStorageKeys: ['TM_useCustomOpenAIEndpoint', 'TM_useOpenAIBaseURL'],
+    inlineTrigger: '@@',             // Typing this in the chat input opens the inline picker ('' to disable)
+    inlineMaxResults: 8,             // Chats listed in the inline picker
+    openShortcut: 'Mod+Alt+R',       // Opens the picker from anywhere; Mod is Cmd on macOS, Ctrl elsewhere ('' to disable)
+    // Theme: the modal follows TypingMind's light/dark mode. Override any CSS variable from
+    // STYLE_VARIABLES per theme, e.g. { dark: { '--tm-ref-accent': '#9f7aea' } }, or append raw CSS.
+    themeVariables: { light: {}, dark: {} },
+    customCss: '',
+    keyboardHintText: 'Use the arrow keys, Home, End, Page Up and Page Down to move through conversations. Enter opens the highlighted conversation, Ctrl+Enter inserts it whole. Alt+B adds it to or removes it from the basket, Alt+P pins it and Alt+E exports it; the toolbar below the list has the same actions.',
+    attachmentMaxChars: 4000,        // Attachment text beyond this is cut when attachments are included
+    toolOutputMaxChars: 2000,        // Same for tool/plugin results
+    linkedReferences: false,         // Default for "Insert as live link" until the user toggles it
+    sendShortcut: 'Enter',           // The key that sends in TypingMind, to expand live links first: 'Enter' or 'Mod+Enter'
+    linkModeText: 'Insert as live link',
+    chatKeyPrefix: 'CHAT_',          // Keyval keys TypingMind stores chats under; other entries aren't read
+    listRowHeight: 96,               // Pixel height of a chat list row (rows with a search snippet get 40 more)
+    listOverscan: 6,                 // Rows rendered above and below the visible part of the list
+    exportFormat: 'markdown',        // Default export format: 'markdown', 'json' or 'html'
+    exportButtonText: 'Export',
+    defaultSort: 'newest',           // Sort order until the user picks another one in the list
+    settingsButtonText: 'Settings',
+    settingsTitle: 'Settings',
+    floatingButton: true,            // Float the button over the page when no action bar strategy matches a chat page
+    historyLimit: 50,                // Inserted references remembered for "Recently referenced" (0 turns history off)
+    recentReferencesShown: 5,        // History entries listed above the chat list
+    pinnedTitle: 'Pinned',
+    recentTitle: 'Recently referenced',
+    pinText: 'Pin',
+    unpinText: 'Unpin',
+    reinsertText: 'Insert again',
+    clearHistoryText: 'Clear',
+    previewDelay: 150,               // Milliseconds a row must stay hovered or highlighted before it's previewed
+    previewMessageLimit: 40,         // Messages rendered in the preview pane (all of them are still inserted)
+    previewTextMaxChars: 20000,      // Characters of the insert text shown in the preview pane
+    previewEmptyText: 'Hover over or arrow to a conversation to preview it',
+    selectMessagesText: 'Select messages',
+    relatedSuggestions: true,        // Suggest past chats similar to the prompt being typed (computed locally)
+    relatedMinChars: 20,             // Prompt length before suggestions are looked up
+    relatedMinScore: 0.08,           // Lowest cosine similarity (0-1) still suggested
+    relatedShown: 5,                 // Suggestions listed in the picker
+    relatedDebounce: 400,            // Milliseconds after the last keystroke before suggestions update
+    relatedMaxChars: 20000,          // Characters of each chat (and of the prompt) that are vectorized
+    relatedIndexMaxAge: 300000,      // Milliseconds before typing refreshes the chat index in the background (opening the picker always does)
+    relatedTitle: 'Related to your prompt',
+    deliveryMode: 'selection',       // Where references go: 'selection', 'prepend', 'append' or 'clipboard'
+    insertCheckDelay: 150,           // Milliseconds after inserting before checking TypingMind kept the text
+    toastDuration: 8000,             // Milliseconds the insert / undo notice stays up
+    undoReferenceText: 'Undo reference',
+    redactKeys: true,                // Mask API keys, access tokens and JWTs in inserted references
+    redactEmails: true,              // Mask email addresses
+    redactPhones: true,              // Mask phone numbers written with separators or a leading +
+    redactPatterns: ''               // Extra rules, one regex per line: a bare pattern or /pattern/flags
   };
 
   // ----------------------------------------
@@ -43,6 +162,46 @@
   let attemptCount = 0;
   let lastNavTime = 0;
 
+  // Chat index, kept across modal openings and refreshed in the background:
+  // chat key -> metadata (see toChatMeta), and chat key -> { updatedAt, title, text, lowerText } for search, where
+  // text is capped at CONFIG.searchIndexMaxChars to bound memory and title and lowerText are lowercased for matching
+  const chatIndex = new Map();
+  const searchIndex = new Map();
+  let indexBuildPromise = null;
+  let chatIndexVersion = 0;
+  let chatIndexRefreshedAt = 0;
+
+  // Watches TypingMind's dark mode class while any extension UI is open, i.e. while themedRoots
+  // (roots registered with registerThemedRoot and not yet removed) isn't empty
+  let themeObserver = null;
+  const themedRoots = new Set();
+
+  // Set while the send button is clicked after expanding reference tokens, so it isn't intercepted again
+  let sendBypass = false;
+
+  // Element to return focus to when the modal closes
+  let modalReturnFocus = null;
+
+  // Inline picker state: open while the user types after the trigger token
+  let inlinePicker = null;
+  let inlineChatsPromise = null;
+  let inlineTriggerActive = false;
+
+  // Related-chat suggestions: the similarity backend (a Worker, or the engine itself where workers can't start),
+  // the search index entry it last received per chat, and the latest suggestions for the chat input
+  let relatedWorker = null;
+  let relatedWorkerUrl = null;
+  let relatedEngine = null;
+  const relatedSynced = new Map();
+  const relatedRequests = new Map();
+  let relatedRequestId = 0;
+  let relatedSuggestions = [];
+  let relatedTimer = null;
+  let relatedQuerySeq = 0;
+
+  // Hides the insert / undo notice
+  let toastTimer = null;
+
   // Keep references to original History methods
   const originalPushState = history.pushState;
   const originalReplaceState = history.replaceState;
@@ -50,20 +209,41 @@
   // ----------------------------------------
   // Utility Functions
   // ----------------------------------------
+  const STORAGE_PREFIX = 'tm-convoref-';
   function log(...args) {
     if (CONFIG.debug) console.log('[ConvoRef]', ...args);
   }
 
-  // Helper function for text insertion
-  function insertTextIntoInput(textarea, textToInsert) {
+  /**
+   * Replaces part of the textarea's text the way typing would.
+   * document.execCommand('insertText') is tried first: it goes through the browser's own editing, so
+   * TypingMind gets a genuine input event and Ctrl+Z undoes the insertion. Where it isn't supported,
+   * the value is set directly and the events React listens for are simulated.
+   * @param {HTMLTextAreaElement} textarea - The input to change.
+   * @param {string} textToInsert - Replacement text.
+   * @param {number} [start] - Start of the range to replace; defaults to the selection.
+   * @param {number} [end] - End of the range to replace; defaults to the selection.
+   * @returns {boolean} True if the textarea holds the new text afterwards.
+   */
+  function insertTextIntoInput(textarea, textToInsert, start, end) {
     log("Attempting text insertion...");
     
-    const selectionStart = textarea.selectionStart;
-    const selectionEnd = textarea.selectionEnd;
+    const selectionStart = start !== undefined ? start : textarea.selectionStart;
+    const selectionEnd = end !== undefined ? end : textarea.selectionEnd;
     const currentValue = textarea.value;
     const newValue = currentValue.substring(0, selectionStart) + textToInsert + currentValue.substring(selectionEnd);
     
     textarea.focus();
+    textarea.setSelectionRange(selectionStart, selectionEnd);
+    
+    try {
+      if (document.execCommand('insertText', false, textToInsert) && textarea.value === newValue) {
+        log("Insertion complete (native editing)");
+        return true;
+      }
+    } catch (e) {
+      log("insertText command unavailable:", e);
+    }
     
     try {
       textarea.dispatchEvent(new Event("compositionstart", { bubbles: true }));
@@ -87,175 +267,3928 @@
       textarea.selectionEnd = textarea.selectionStart;
       
       log("Insertion complete");
-      return true;
+      return textarea.value === newValue;
     } catch (e) {
       log("Insertion failed:", e);
       return false;
     }
   }
 
+  /**
+   * Reads a JSON value saved by this extension in localStorage.
+   * @param {string} key - Key without the extension prefix.
+   * @param {*} fallback - Returned when nothing is stored or the value is unreadable.
+   * @returns {*} The stored value or the fallback.
+   */
+  function loadPreference(key, fallback) {
+    try {
+      const raw = localStorage.getItem(STORAGE_PREFIX + key);
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch (e) {
+      log(`Could not read preference ${key}:`, e);
+      return fallback;
+    }
+  }
+
+  function savePreference(key, value) {
+    try {
+      localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    } catch (e) {
+      log(`Could not save preference ${key}:`, e);
+    }
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
   // ----------------------------------------
-  // Button & UI Management
+  // Safe HTML Rendering
   // ----------------------------------------
+  // Chat titles, model names and message text are user (or AI) controlled and must never be parsed as markup.
+  // Plain fields are set with textContent; the few places that need formatting (search highlights, previews)
+  // pass their HTML through sanitizeHtml, which rebuilds it from an allowlist.
+
+  // Tags that survive sanitizing, with the attributes each may keep. Other tags are unwrapped to their content.
+  const SAFE_HTML_TAGS = {
+    a: ['href', 'title'], b: [], blockquote: [], br: [], code: ['class'], del: [], em: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [], i: [], li: [], mark: [], ol: ['start'],
+    p: [], pre: ['class'], s: [], span: ['class'], strong: [], sub: [], sup: [],
+    table: [], tbody: [], td: ['align'], th: ['align'], thead: [], tr: [], ul: []
+  };
+
+  // Tags removed together with everything inside them
+  const DROPPED_HTML_TAGS = ['script', 'style', 'iframe', 'frame', 'object', 'embed', 'template', 'noscript',
+    'svg', 'math', 'link', 'meta', 'base', 'form', 'input', 'button', 'textarea', 'select', 'title'];
+
+  const SAFE_URL_PATTERN = /^(https?:|mailto:|#)/i;
+
+  function appendSanitized(parent, node) {
+    if (node.nodeType === 3) { // text
+      parent.appendChild(document.createTextNode(node.textContent));
+      return;
+    }
+    if (node.nodeType !== 1) return; // comments, processing instructions
+    const tag = node.localName;
+    if (DROPPED_HTML_TAGS.includes(tag)) return;
+
+    let target = parent;
+    const allowedAttributes = SAFE_HTML_TAGS[tag];
+    if (allowedAttributes) {
+      // Build a fresh element rather than cloning, so no attribute or handler is carried over by accident
+      target = document.createElement(tag);
+      allowedAttributes.forEach(name => {
+        const value = node.getAttribute(name);
+        if (value === null) return;
+        if (name === 'href' && !SAFE_URL_PATTERN.test(value.replace(/[\u0000-\u0020]/g, ''))) return;
+        target.setAttribute(name, value);
+      });
+      if (tag === 'a') {
+        target.setAttribute('target', '_blank');
+        target.setAttribute('rel', 'noopener noreferrer');
+      }
+      parent.appendChild(target);
+    }
+    node.childNodes.forEach(child => appendSanitized(target, child));
+  }
+
   /**
-   * Finds the chat input action bar by its unique data-element-id.
-   * @returns {HTMLElement|null} The chat input action bar element, or null if not found.
+   * Parses HTML in an inert template and rebuilds it from SAFE_HTML_TAGS, dropping scripts,
+   * event handlers, styles and non-http(s) links.
+   * @param {string} html - Untrusted HTML.
+   * @returns {DocumentFragment} Sanitized nodes, ready to append.
    */
-  function findChatActionBar() {
-    return document.querySelector('[data-element-id="chat-input-actions"]');
+  function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html);
+    const fragment = document.createDocumentFragment();
+    template.content.childNodes.forEach(node => appendSanitized(fragment, node));
+    return fragment;
+  }
+
+  const MARKDOWN_BLOCK_START = /^\s*(```|~~~|#{1,6}\s|>|([-*+]|\d+[.)])\s)/;
+  const MARKDOWN_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+  const MARKDOWN_LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+  function renderInlineMarkdown(text) {
+    // Code spans are set aside first so their content isn't formatted
+    const codes = [];
+    const html = escapeHtml(text)
+      .replace(/`([^`]+)`/g, (_, code) => '\u0000' + (codes.push('<code>' + code + '</code>') - 1) + '\u0000')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+      .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w_])_([^_\s][^_]*)_(?![\w_])/g, '$1<em>$2</em>')
+      .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+    return html.replace(/\u0000(\d+)\u0000/g, (_, i) => codes[i]);
   }
 
   /**
-   * Adds the reference button to the chat input action bar if present.
-   * Ensures the button is only injected on chat pages and not elsewhere.
-   * Removes the button if the action bar is not present.
-   * @returns {boolean} True if the button was added, false otherwise.
+   * Converts the Markdown that chat messages typically contain (fenced and inline code, headings, emphasis,
+   * links, lists, quotes, rules) to HTML. Text is escaped before any tag is added, and the result is still
+   * meant for setSafeHtml, which drops unsafe links.
+   * @param {string} text - Markdown source.
+   * @returns {string} HTML.
    */
-  function addReferenceButton() {
-    try {
-      // Remove existing button to avoid duplicates
-      const existingButton = document.getElementById('tm-reference-chat-button-container');
-      if (existingButton) {
-        log("Removing existing button");
-        existingButton.remove();
+  function renderMarkdown(text) {
+    const lines = String(text).replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      const fence = line.match(/^\s*(```|~~~)\s*([\w+#.-]*)/);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+        i++; // closing fence
+        blocks.push('<pre><code' + (fence[2] ? ' class="language-' + escapeHtml(fence[2]) + '"' : '') + '>' + escapeHtml(code.join('\n')) + '</code></pre>');
+        continue;
+      }
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+      const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+      if (heading) {
+        const level = heading[1].length;
+        blocks.push('<h' + level + '>' + renderInlineMarkdown(heading[2]) + '</h' + level + '>');
+        i++;
+        continue;
+      }
+      if (MARKDOWN_RULE.test(line)) {
+        blocks.push('<hr>');
+        i++;
+        continue;
+      }
+      if (/^\s*>/.test(line)) {
+        const quoted = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+        blocks.push('<blockquote>' + renderMarkdown(quoted.join('\n')) + '</blockquote>');
+        continue;
       }
+      const listItem = line.match(MARKDOWN_LIST_ITEM);
+      if (listItem) {
+        const ordered = /\d/.test(listItem[1]);
+        const items = [];
+        let item;
+        while (i < lines.length && (item = lines[i].match(MARKDOWN_LIST_ITEM)) && /\d/.test(item[1]) === ordered) {
+          items.push('<li>' + renderInlineMarkdown(item[2]) + '</li>');
+          i++;
+        }
+        const tag = ordered ? 'ol' : 'ul';
+        blocks.push('<' + tag + '>' + items.join('') + '</' + tag + '>');
+        continue;
+      }
+      const paragraph = [lines[i++]];
+      while (i < lines.length && lines[i].trim() && !MARKDOWN_BLOCK_START.test(lines[i]) && !MARKDOWN_RULE.test(lines[i])) {
+        paragraph.push(lines[i++]);
+      }
+      blocks.push('<p>' + paragraph.map(renderInlineMarkdown).join('<br>') + '</p>');
+    }
+    return blocks.join('');
+  }
 
-      const actionBar = findChatActionBar();
-      if (!actionBar) {
-        log("Chat input actions bar not found. Button will not be injected.");
-        // If the button exists but the action bar is gone, remove the button
-        return false;
+  /**
+   * Replaces an element's content with sanitized HTML.
+   * @param {HTMLElement} element - Element to fill.
+   * @param {string} html - Untrusted HTML.
+   */
+  function setSafeHtml(element, html) {
+    element.textContent = '';
+    element.appendChild(sanitizeHtml(html));
+  }
+
+  // ----------------------------------------
+  // Settings
+  // ----------------------------------------
+  // Users can override part of CONFIG from the settings view. Overrides are stored as
+  // { schemaVersion, values } under the 'settings' preference; CONFIG keeps the shipped defaults.
+  const SETTINGS_SCHEMA_VERSION = 1;
+  const DEFAULT_CONFIG = Object.assign({}, CONFIG);
+
+  const UI_STRING_LABELS = {
+    buttonTooltip: 'Button tooltip',
+    modalTitle: 'Dialog title',
+    searchPlaceholder: 'Search placeholder',
+    noResultsText: 'No results',
+    indexingText: 'Indexing',
+    cancelButtonText: 'Cancel button',
+    filtersButtonText: 'Filters button',
+    settingsButtonText: 'Settings button',
+    settingsTitle: 'Settings title',
+    selectMessagesTitle: 'Message step title',
+    backButtonText: 'Back button',
+    insertButtonText: 'Insert button',
+    addToBasketText: 'Add to basket',
+    insertBasketText: 'Insert combined',
+    insertFullText: 'Insert full',
+    insertSummaryText: 'Insert summary',
+    summarizingText: 'Summarizing',
+    linkModeText: 'Live link toggle',
+    exportButtonText: 'Export button',
+    keyboardHintText: 'Screen reader hint',
+    pinnedTitle: 'Pinned heading',
+    recentTitle: 'History heading',
+    pinText: 'Pin button',
+    unpinText: 'Unpin button',
+    reinsertText: 'Insert again button',
+    clearHistoryText: 'Clear history button',
+    previewEmptyText: 'Empty preview',
+    selectMessagesText: 'Select messages button',
+    relatedTitle: 'Related chats heading',
+    undoReferenceText: 'Undo button'
+  };
+
+  /**
+   * The settings the settings view offers, in display order. Each overrides the CONFIG key of the same name.
+   * Select options are functions so custom templates are picked up when the view is built; they're given the
+   * values being validated, so a format can be picked as default in the same save that adds it.
+   * `validate` returns a list of problems with a value (empty when it's fine).
+   */
+  const SETTINGS_FIELDS = [
+    { key: 'debug', label: 'Log debug output to the console', type: 'boolean', group: 'General' },
+    { key: 'defaultTemplate', label: 'Reference format', type: 'select', group: 'General', options: values => {
+      const templates = values && values.customTemplates !== undefined ?
+        Object.assign({}, REFERENCE_TEMPLATES, values.customTemplates) : getTemplates();
+      const labels = {};
+      Object.keys(templates).forEach(key => labels[key] = templates[key].label || key);
+      return labels;
+    } },
+    { key: 'tokenBudget', label: 'Token budget', type: 'number', min: 100, group: 'General' },
+    { key: 'defaultSort', label: 'Default sort order', type: 'select', group: 'General', options: () => SORT_OPTIONS },
+    { key: 'relatedSuggestions', label: 'Suggest related conversations while typing', type: 'boolean', group: 'General' },
+    { key: 'historyLimit', label: 'References to remember (0 turns history off)', type: 'number', min: 0, group: 'General' },
+    { key: 'openShortcut', label: 'Keyboard shortcut (empty to disable)', type: 'shortcut', group: 'General' },
+    { key: 'sendShortcut', label: 'Key that sends a message in TypingMind (live links are expanded on it)', type: 'select', group: 'General',
+      options: () => SEND_SHORTCUTS },
+    { key: 'inlineTrigger', label: 'Inline picker trigger typed in the chat input (empty to disable)', type: 'text', group: 'General',
+      validate: value => /\s/.test(value) ? ['the trigger can\'t contain spaces'] : [] },
+    { key: 'redactKeys', label: 'Mask API keys and tokens', type: 'boolean', group: 'Redaction' },
+    { key: 'redactEmails', label: 'Mask email addresses', type: 'boolean', group: 'Redaction' },
+    { key: 'redactPhones', label: 'Mask phone numbers', type: 'boolean', group: 'Redaction' },
+    { key: 'redactPatterns', label: 'Also mask matches of these regexes, one per line (e.g. /acme corp/i)', type: 'textarea', group: 'Redaction',
+      validate: value => parseRedactionPatterns(value).errors.map(line => 'not a valid regex: ' + line) },
+    { key: 'customTemplates', label: 'Custom formats as JSON, keyed by id ("message" is required; placeholders as in the built-in formats)', type: 'json', group: 'Formats',
+      placeholder: '{\n  "mine": { "label": "Mine", "header": "<<{{title}}>>\\n", "message": "{{role}}> {{content}}\\n", "footer": "<</ref>>\\n" }\n}',
+      validate: value => describeTemplateErrors(value) },
+    { key: 'customCss', label: 'Custom CSS, e.g. .tm-ref-root { --tm-ref-accent: #9f7aea; }', type: 'textarea', group: 'Appearance' }
+  ].concat(Object.keys(UI_STRING_LABELS).map(key => ({ key: key, label: UI_STRING_LABELS[key], type: 'text', group: 'Text' })));
+
+  // SETTINGS_MIGRATIONS[n] upgrades stored values from schema n to n + 1
+  const SETTINGS_MIGRATIONS = [
+    // 0 -> 1: before the settings view, the last template and sort order picked were the only persisted choices
+    values => {
+      const migrated = Object.assign({}, values);
+      const template = loadPreference('template', null);
+      if (typeof template === 'string' && migrated.defaultTemplate === undefined) migrated.defaultTemplate = template;
+      const filters = loadPreference('filters', null);
+      if (filters && typeof filters.sort === 'string' && migrated.defaultSort === undefined) migrated.defaultSort = filters.sort;
+      return migrated;
+    }
+  ];
+
+  const SHORTCUT_PATTERN = /^((Mod|Ctrl|Meta|Alt|Shift)\+)*[^+\s]+$/i;
+
+  /**
+   * Checks a stored value against its field, so a hand-edited or outdated entry can't break the extension.
+   * @param {Object} field - Entry of SETTINGS_FIELDS.
+   * @param {*} value - Stored value.
+   * @param {Object} [values] - All values being checked, for fields whose options depend on another one.
+   * @returns {boolean} True if the value can be applied.
+   */
+  function isValidSetting(field, value, values) {
+    if (field.validate && field.validate(value).length) return false;
+    if (field.type === 'boolean') return typeof value === 'boolean';
+    if (field.type === 'number') return typeof value === 'number' && isFinite(value) && value >= (field.min || 0);
+    if (field.type === 'select') return typeof value === 'string' && Object.prototype.hasOwnProperty.call(field.options(values), value);
+    if (field.type === 'json') return true;
+    if (field.type === 'shortcut') return typeof value === 'string' && (value === '' || SHORTCUT_PATTERN.test(value));
+    return typeof value === 'string';
+  }
+
+  /**
+   * Reads the saved settings, upgrading them to the current schema and dropping invalid values.
+   * @returns {Object} Overrides keyed by CONFIG key.
+   */
+  function loadSettings() {
+    const stored = loadPreference('settings', null);
+    const wrapped = stored && typeof stored === 'object' && typeof stored.schemaVersion === 'number';
+    let version = wrapped ? stored.schemaVersion : 0;
+    let values = wrapped ? (stored.values || {}) : (stored && typeof stored === 'object' ? stored : {});
+
+    if (version > SETTINGS_SCHEMA_VERSION) {
+      log(`Settings were saved by a newer version (schema ${version}); unknown values are ignored`);
+    }
+    const migrating = version < SETTINGS_SCHEMA_VERSION;
+    while (version < SETTINGS_SCHEMA_VERSION) {
+      values = SETTINGS_MIGRATIONS[version](values);
+      version++;
+    }
+
+    const valid = {};
+    SETTINGS_FIELDS.forEach(field => {
+      if (values[field.key] === undefined) return;
+      if (isValidSetting(field, values[field.key], values)) valid[field.key] = values[field.key];
+      else log(`Ignoring invalid setting ${field.key}:`, values[field.key]);
+    });
+    if (migrating && (stored || Object.keys(valid).length)) saveSettings(valid);
+    return valid;
+  }
+
+  function saveSettings(values) {
+    savePreference('settings', { schemaVersion: SETTINGS_SCHEMA_VERSION, values: values });
+  }
+
+  function applySettings(values) {
+    SETTINGS_FIELDS.forEach(field => {
+      CONFIG[field.key] = values[field.key] !== undefined ? values[field.key] : DEFAULT_CONFIG[field.key];
+    });
+  }
+
+  /**
+   * Saves and applies new settings. Only values that differ from the shipped defaults are stored,
+   * so later default changes still reach users who never touched a setting.
+   * @param {Object} values - Setting values keyed by CONFIG key; missing keys fall back to defaults.
+   */
+  function updateSettings(values) {
+    const previous = { defaultTemplate: CONFIG.defaultTemplate, defaultSort: CONFIG.defaultSort };
+    const overrides = {};
+    SETTINGS_FIELDS.forEach(field => {
+      const value = values[field.key];
+      if (value !== undefined && JSON.stringify(value) !== JSON.stringify(DEFAULT_CONFIG[field.key]) && isValidSetting(field, value, values)) {
+        overrides[field.key] = value;
       }
+    });
+    saveSettings(overrides);
+    applySettings(overrides);
+    syncInlineTrigger();
 
-      // Find the left side of the action bar
-      const leftSide = actionBar.querySelector('.flex.items-center.justify-start');
-      if (!leftSide) {
-        log("Could not find left side of action bar. Button will not be injected.");
-        return false;
+    // The pickers remember the last choice made in them; a changed default replaces it
+    if (CONFIG.defaultTemplate !== previous.defaultTemplate) savePreference('template', CONFIG.defaultTemplate);
+    if (CONFIG.defaultSort !== previous.defaultSort) savePreference('filters', Object.assign(loadFilters(), { sort: CONFIG.defaultSort }));
+
+    if (document.getElementById('tm-reference-styles')) injectStyles();
+    if (buttonAdded) {
+      removeReferenceButton();
+      addReferenceButton();
+    }
+    log('Settings saved:', overrides);
+  }
+
+  function resetSettings() {
+    updateSettings({});
+  }
+
+  // ----------------------------------------
+  // Message Content Extraction
+  // ----------------------------------------
+  /**
+   * Extracts the plain text of a stored message, whatever shape its content has.
+   * @param {Object} msg - A message object from a TypingMind chat.
+   * @returns {string} The message text, or an empty string if it has none.
+   */
+  function getMessageText(msg) {
+    if (!msg || !msg.content) return '';
+    if (typeof msg.content === 'string') {
+      return msg.content;
+    } else if (Array.isArray(msg.content)) {
+      return msg.content.filter(part => part && part.type === 'text' && part.text).map(part => part.text).join('\n');
+    } else if (typeof msg.content === 'object' && msg.content.text) {
+      return msg.content.text;
+    }
+    return '';
+  }
+
+  /**
+   * Labels for the opt-in content a reference can carry besides plain message text.
+   * The chosen set is remembered in the 'include' preference; everything is off by default.
+   */
+  const INCLUDE_OPTIONS = {
+    system: 'System prompt',
+    tools: 'Tool calls',
+    images: 'Images',
+    attachments: 'Attachments'
+  };
+
+  const ROLE_LABELS = {
+    user: 'User',
+    assistant: 'Assistant',
+    system: 'System',
+    tool: 'Tool',
+    summary: 'Summary'
+  };
+
+  function getIncludeOptions() {
+    const saved = loadPreference('include', {});
+    const include = {};
+    Object.keys(INCLUDE_OPTIONS).forEach(key => include[key] = saved[key] === true);
+    return include;
+  }
+
+  function capText(text, maxChars) {
+    if (text.length <= maxChars) return text;
+    return text.slice(0, maxChars) + '\n[... ' + (text.length - maxChars).toLocaleString() + ' more characters cut ...]';
+  }
+
+  /**
+   * Finds the chat's system prompt: the chat's own system message, else its character's instruction.
+   * @param {Object} chat - A TypingMind chat.
+   * @returns {string} The prompt, or an empty string.
+   */
+  function getSystemPrompt(chat) {
+    const candidates = [
+      chat.systemMessage,
+      chat.chatParams && chat.chatParams.systemMessage,
+      chat.character && (chat.character.instruction || chat.character.systemMessage)
+    ];
+    const prompt = candidates.find(value => typeof value === 'string' && value.trim());
+    return prompt ? prompt.trim() : '';
+  }
+
+  function stringifyToolValue(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'string') {
+      // Arguments usually arrive as a JSON string; pretty-print them when they parse
+      try {
+        return JSON.stringify(JSON.parse(value), null, 2);
+      } catch (e) {
+        return value;
       }
+    }
+    if (Array.isArray(value)) {
+      return value.map(part => typeof part === 'string' ? part : part && part.text !== undefined ? part.text : JSON.stringify(part)).join('\n');
+    }
+    return JSON.stringify(value, null, 2);
+  }
 
-      log("Found chat input action bar, injecting button");
+  function formatToolCall(name, args) {
+    const body = stringifyToolValue(args);
+    return 'Tool call: ' + (name || 'unknown') + (body ? '\nArguments:\n' + body : '');
+  }
 
-      // Create button container
-      const refButtonContainer = document.createElement('div');
-      refButtonContainer.id = 'tm-reference-chat-button-container';
-      refButtonContainer.innerHTML = '<button id="reference-chat-button" class="focus-visible:outline-blue-600 w-9 h-9 rounded-lg justify-center items-center gap-1.5 inline-flex text-slate-900 hover:bg-slate-900/20 active:bg-slate-900/25 disabled:text-neutral-400 dark:text-white dark:hover:bg-white/20 dark:active:bg-white/25 dark:disabled:text-neutral-500" data-tooltip-content="' + CONFIG.buttonTooltip + '" data-tooltip-id="global"><svg class="w-5 h-5" width="18px" height="18px" viewBox="0 0 18 18" xmlns="http://www.w3.org/2000/svg"><g fill="currentColor"><path d="M15,2H3C2.4,2,2,2.4,2,3v10c0,0.6,0.4,1,1,1h2v2.5c0,0.3,0.3,0.5,0.6,0.4l4.6-2.9H15c0.6,0,1-0.4,1-1V3C16,2.4,15.6,2,15,2z" fill="none" stroke="currentColor" stroke-width="1.5"></path><path d="M5.5,6.5h7" fill="none" stroke="currentColor" stroke-linecap="round" stroke-width="1.5"></path><path d="M5.5,9.5h4" fill="none" stroke="currentColor" stroke-linecap="round" stroke-width="1.5"></path></g></svg></button>';
+  function formatToolResult(name, output) {
+    return 'Tool result' + (name ? ': ' + name : '') + '\n' + capText(stringifyToolValue(output), CONFIG.toolOutputMaxChars);
+  }
 
-      // Insert button in the left side
-      leftSide.prepend(refButtonContainer);
-      log("Button added");
+  /**
+   * Lists the tool calls an assistant message made, in OpenAI (tool_calls/function_call) or Anthropic (tool_use) shape.
+   * @param {Object} msg - A stored message.
+   * @returns {Array<string>} One formatted block per call.
+   */
+  function getToolCallBlocks(msg) {
+    const blocks = [];
+    (Array.isArray(msg.tool_calls) ? msg.tool_calls : []).forEach(call => {
+      const fn = call && call.function ? call.function : call || {};
+      blocks.push(formatToolCall(fn.name, fn.arguments));
+    });
+    if (msg.function_call) blocks.push(formatToolCall(msg.function_call.name, msg.function_call.arguments));
+    return blocks;
+  }
 
-      // Add click handler
-      refButtonContainer.addEventListener('click', (event) => {
-        if (event.target.closest('#reference-chat-button')) {
-          handleButtonClick();
+  function describeImage(part) {
+    const image = part.image_url && typeof part.image_url === 'object' ? part.image_url : {};
+    const caption = part.caption || part.alt || part.description || image.caption || image.alt || part.name;
+    return caption ? '[Image: ' + caption + ']' : '[Image]';
+  }
+
+  function formatAttachment(file) {
+    const name = file.name || file.fileName || file.filename || file.title || 'file';
+    const text = [file.text, file.content, file.extractedText, file.file && file.file.text].find(value => typeof value === 'string');
+    return '[Attachment: ' + name + ']' + (text ? '\n' + capText(text.trim(), CONFIG.attachmentMaxChars) : '');
+  }
+
+  /**
+   * Builds a message's reference text, adding the opt-in parts the include options ask for.
+   * Images and attachments stay where they occur in the message; tool_use/tool_result parts become blocks.
+   * @param {Object} msg - A stored message.
+   * @param {Object} include - Flags keyed like INCLUDE_OPTIONS.
+   * @param {Object} [found] - Counts of each kind of extra content seen, incremented whether or not it was included.
+   * @returns {string} The message text.
+   */
+  function getMessageContent(msg, include, found) {
+    const seen = kind => {
+      if (found) found[kind] = (found[kind] || 0) + 1;
+      return include[kind];
+    };
+    const pieces = [];
+    const parts = Array.isArray(msg.content) ? msg.content : [];
+
+    if (!Array.isArray(msg.content)) {
+      pieces.push(getMessageText(msg));
+    }
+    parts.forEach(part => {
+      if (!part) return;
+      if (part.type === 'text') {
+        if (part.text) pieces.push(part.text);
+      } else if (part.type === 'image_url' || part.type === 'image') {
+        if (seen('images')) pieces.push(describeImage(part));
+      } else if (part.type === 'file' || part.type === 'document' || part.type === 'input_file') {
+        if (seen('attachments')) pieces.push(formatAttachment(part));
+      } else if (part.type === 'tool_use') {
+        if (seen('tools')) pieces.push(formatToolCall(part.name, part.input));
+      } else if (part.type === 'tool_result') {
+        if (seen('tools')) pieces.push(formatToolResult(part.name, part.content));
+      }
+    });
+    [].concat(msg.files || [], msg.attachments || []).forEach(file => {
+      if (file && seen('attachments')) pieces.push(formatAttachment(file));
+    });
+    return pieces.filter(Boolean).join('\n');
+  }
+
+  // ----------------------------------------
+  // Chat Index
+  // ----------------------------------------
+  function getChatKey(chat) {
+    return chat.id || chat.chatID || chat.chatTitle || '';
+  }
+
+  function getChatTimestamp(chat) {
+    return chat.updatedAt || chat.createdAt || 0;
+  }
+
+  function isChatEntry(entry) {
+    return !!entry && typeof entry === 'object' &&
+      ((entry.chatTitle !== undefined && entry.messages !== undefined) ||
+       (!!entry.id && Array.isArray(entry.messages)));
+  }
+
+  /**
+   * Reduces a stored chat to what the list, filters and sorting need. Message bodies are left out;
+   * loadChat reads them when a chat is actually used.
+   * @param {Object} chat - A full chat from the store.
+   * @param {*} storeKey - The keyval key the chat is stored under.
+   * @returns {Object} Chat-shaped metadata without messages.
+   */
+  function toChatMeta(chat, storeKey) {
+    return {
+      storeKey: storeKey,
+      id: chat.id,
+      chatID: chat.chatID,
+      chatTitle: chat.chatTitle,
+      model: chat.model,
+      createdAt: chat.createdAt,
+      updatedAt: chat.updatedAt,
+      folderID: chat.folderID,
+      tags: chat.tags,
+      messageCount: Array.isArray(chat.messages) ? chat.messages.length : 0
+    };
+  }
+
+  /**
+   * Caps a chat's text for the search index. Long chats keep their start and their end, where the
+   * question and the conclusion usually are, so only matches in the middle are missed.
+   * @param {string} text - All message text of a chat.
+   * @returns {string} At most CONFIG.searchIndexMaxChars characters (plus a separator).
+   */
+  function capSearchText(text) {
+    const max = CONFIG.searchIndexMaxChars;
+    if (text.length <= max) return text;
+    const head = Math.ceil(max / 2);
+    return text.slice(0, head) + '\n\n' + text.slice(text.length - (max - head));
+  }
+
+  function indexSearchText(key, chat) {
+    const body = (Array.isArray(chat.messages) ? chat.messages : [])
+      .filter(msg => msg && (msg.role === 'user' || msg.role === 'assistant'))
+      .map(getMessageText)
+      .filter(text => text.trim())
+      .join('\n');
+    const text = capSearchText(body);
+    searchIndex.set(key, {
+      updatedAt: getChatTimestamp(chat),
+      title: (chat.chatTitle || 'Untitled Conversation').toLowerCase(),
+      text: text,
+      lowerText: text.toLowerCase()
+    });
+  }
+
+  /**
+   * Brings the chat index up to date by walking the store with a cursor.
+   * Only chats that are new or whose updatedAt changed are re-indexed, and the walk is split into
+   * batches (one short transaction each) so the page stays responsive with thousands of chats.
+   * Concurrent calls share one scan.
+   * @returns {Promise<Array<Object>>} Metadata for every chat, see toChatMeta.
+   */
+  function refreshChatIndex() {
+    if (indexBuildPromise) return indexBuildPromise;
+
+    indexBuildPromise = (async () => {
+      const db = await openKeyvalDatabase();
+      try {
+        const liveKeys = new Set();
+        let indexed = 0;
+        const visit = (storeKey, value) => {
+          if (!isChatEntry(value)) return;
+          const key = getChatKey(value);
+          liveKeys.add(key);
+          const cached = chatIndex.get(key);
+          if (cached && cached.updatedAt === value.updatedAt && cached.messageCount === getMessageCount(value)) return;
+          chatIndex.set(key, toChatMeta(value, storeKey));
+          indexSearchText(key, value);
+          indexed++;
+        };
+
+        await scanKeyvalStore(db, CONFIG.chatKeyPrefix, visit);
+        // Fall back to reading every entry if nothing is stored under the expected prefix
+        if (CONFIG.chatKeyPrefix && liveKeys.size === 0) await scanKeyvalStore(db, '', visit);
+
+        // Drop chats that no longer exist
+        let removed = 0;
+        for (const key of Array.from(chatIndex.keys())) {
+          if (liveKeys.has(key)) continue;
+          chatIndex.delete(key);
+          searchIndex.delete(key);
+          removed++;
         }
-      });
+        if (indexed || removed) chatIndexVersion++;
+        log(`Chat index ready (${indexed} chats re-indexed, ${removed} removed, ${chatIndex.size} total)`);
+        return Array.from(chatIndex.values());
+      } finally {
+        db.close();
+      }
+    })().finally(() => {
+      indexBuildPromise = null;
+      chatIndexRefreshedAt = Date.now();
+    });
 
-      buttonAdded = true;
-      return true;
-    } catch (error) {
-      log("Error adding button:", error);
-      return false;
+    return indexBuildPromise;
+  }
+
+  /**
+   * Returns the indexed chats without waiting when the index has been built before, refreshing it in
+   * the background; only the very first call waits for a full scan.
+   * @returns {Promise<Array<Object>>} Chat metadata.
+   */
+  function getIndexedChats() {
+    if (!chatIndex.size) return refreshChatIndex();
+    refreshChatIndex().catch(error => log("Error refreshing chat index:", error));
+    return Promise.resolve(Array.from(chatIndex.values()));
+  }
+
+  function countOccurrences(haystack, needle) {
+    let count = 0;
+    let pos = haystack.indexOf(needle);
+    while (pos !== -1) {
+      count++;
+      pos = haystack.indexOf(needle, pos + needle.length);
     }
+    return count;
   }
 
   /**
-   * Removes the reference button from the DOM if it exists.
+   * Builds an HTML snippet of the text around the first match, with all terms highlighted.
+   * Matches are found in the lowercased text and the snippet is cut from the original text at the same
+   * offsets, unless lowercasing changed the length (a few Unicode letters do).
+   * @param {Object} entry - Search index entry.
+   * @param {Array<string>} terms - Lowercased search terms.
+   * @returns {string} Escaped HTML snippet, or an empty string if no term occurs.
    */
-  function removeReferenceButton() {
-    const existingButton = document.getElementById('tm-reference-chat-button-container');
-    if (existingButton) {
-      log("Removing reference button due to chat bar disappearance or navigation.");
-      existingButton.remove();
-      buttonAdded = false;
+  function buildSnippet(entry, terms) {
+    const positions = terms.map(term => entry.lowerText.indexOf(term)).filter(pos => pos !== -1);
+    if (positions.length === 0) return '';
+
+    const text = entry.text.length === entry.lowerText.length ? entry.text : entry.lowerText;
+    const first = Math.min(...positions);
+    const start = Math.max(0, first - CONFIG.snippetRadius);
+    const end = Math.min(text.length, first + CONFIG.snippetRadius * 2);
+    const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+    const pattern = new RegExp('(' + terms.map(escapeRegExp).join('|') + ')', 'gi');
+
+    return (start > 0 ? '&hellip;' : '') +
+      excerpt.split(pattern).map((part, i) => i % 2 ? '<mark>' + escapeHtml(part) + '</mark>' : escapeHtml(part)).join('') +
+      (end < text.length ? '&hellip;' : '');
+  }
+
+  /**
+   * Searches chat titles and message bodies, ranked by relevance.
+   * Every term must occur in the title or body. Title matches weigh more than body matches,
+   * and an exact phrase match gets a bonus. Ties keep the incoming order.
+   * @param {Array<Object>} chats - Chats to search, in their default order.
+   * @param {string} query - Raw search input.
+   * @returns {Array<{chat: Object, snippet: string}>} Matching chats, best first.
+   */
+  function searchChats(chats, query) {
+    const phrase = query.trim().toLowerCase();
+    if (!phrase) return chats.map(chat => ({ chat: chat, snippet: '' }));
+    const terms = [...new Set(phrase.split(/\s+/))];
+
+    const results = [];
+    chats.forEach((chat, order) => {
+      const entry = searchIndex.get(getChatKey(chat));
+      const title = entry ? entry.title : (chat.chatTitle || 'Untitled Conversation').toLowerCase();
+      const body = entry ? entry.lowerText : '';
+
+      let score = 0;
+      for (const term of terms) {
+        const titleHits = countOccurrences(title, term);
+        const bodyHits = body ? countOccurrences(body, term) : 0;
+        if (titleHits === 0 && bodyHits === 0) return;
+        score += titleHits * 10 + Math.min(bodyHits, 20);
+      }
+      if (terms.length > 1) {
+        if (title.includes(phrase)) score += 15;
+        if (body.includes(phrase)) score += 5;
+      }
+
+      const snippet = entry ? buildSnippet(entry, terms) : '';
+      results.push({ chat: chat, snippet: snippet, score: score, order: order });
+    });
+
+    results.sort((a, b) => (b.score - a.score) || (a.order - b.order));
+    return results;
+  }
+
+  // ----------------------------------------
+  // Filters & Sorting
+  // ----------------------------------------
+  const SORT_OPTIONS = {
+    'newest': 'Newest first',
+    'oldest': 'Oldest first',
+    'alpha': 'Alphabetical',
+    'longest': 'Most messages'
+  };
+
+  const DEFAULT_FILTERS = {
+    sort: 'newest',
+    models: [],         // Empty means every model
+    dateFrom: '',       // yyyy-mm-dd, inclusive, compared against the last update
+    dateTo: '',
+    minMessages: '',
+    maxMessages: '',
+    group: ''           // 'folder:<id>' or 'tag:<name>'
+  };
+
+  /**
+   * Loads the saved filter state, falling back to defaults for anything missing.
+   * @returns {Object} Filter state shaped like DEFAULT_FILTERS.
+   */
+  function loadFilters() {
+    const saved = loadPreference('filters', {});
+    return Object.assign({}, DEFAULT_FILTERS, { sort: CONFIG.defaultSort }, saved && typeof saved === 'object' ? saved : {});
+  }
+
+  function countActiveFilters(filters) {
+    return (filters.models.length ? 1 : 0) + (filters.dateFrom || filters.dateTo ? 1 : 0) +
+      (filters.minMessages !== '' || filters.maxMessages !== '' ? 1 : 0) + (filters.group ? 1 : 0);
+  }
+
+  function getMessageCount(chat) {
+    return Array.isArray(chat.messages) ? chat.messages.length : chat.messageCount || 0;
+  }
+
+  function getChatTags(chat) {
+    return Array.isArray(chat.tags) ? chat.tags.filter(tag => typeof tag === 'string' && tag) : [];
+  }
+
+  /**
+   * Applies the filter state to a chat list and sorts the result.
+   * @param {Array<Object>} chats - All chats.
+   * @param {Object} filters - Filter state shaped like DEFAULT_FILTERS.
+   * @returns {Array<Object>} A new, filtered and sorted array.
+   */
+  function filterAndSortChats(chats, filters) {
+    const from = filters.dateFrom ? new Date(filters.dateFrom + 'T00:00:00').getTime() : null;
+    const to = filters.dateTo ? new Date(filters.dateTo + 'T23:59:59.999').getTime() : null;
+    const min = filters.minMessages === '' ? null : Number(filters.minMessages);
+    const max = filters.maxMessages === '' ? null : Number(filters.maxMessages);
+    const [groupType, groupValue] = filters.group ? [filters.group.slice(0, filters.group.indexOf(':')), filters.group.slice(filters.group.indexOf(':') + 1)] : [];
+
+    const result = chats.filter(chat => {
+      if (filters.models.length && !filters.models.includes(chat.model || '')) return false;
+      const time = new Date(getChatTimestamp(chat)).getTime();
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+      const count = getMessageCount(chat);
+      if (min !== null && count < min) return false;
+      if (max !== null && count > max) return false;
+      if (groupType === 'folder' && chat.folderID !== groupValue) return false;
+      if (groupType === 'tag' && !getChatTags(chat).includes(groupValue)) return false;
+      return true;
+    });
+
+    const byDate = (a, b) => new Date(getChatTimestamp(a)) - new Date(getChatTimestamp(b));
+    if (filters.sort === 'oldest') {
+      result.sort(byDate);
+    } else if (filters.sort === 'alpha') {
+      result.sort((a, b) => (a.chatTitle || 'Untitled Conversation').localeCompare(b.chatTitle || 'Untitled Conversation'));
+    } else if (filters.sort === 'longest') {
+      result.sort((a, b) => (getMessageCount(b) - getMessageCount(a)) || byDate(b, a));
+    } else {
+      result.sort((a, b) => byDate(b, a));
     }
+    return result;
   }
 
   // ----------------------------------------
-  // Chat Selection Modal
+  // Token Budget
   // ----------------------------------------
-  async function handleButtonClick() {
-    log("Reference button clicked");
-    try {
-      const chats = await getChatsFromIndexedDB();
-      if (!chats || chats.length === 0) {
-        alert("No previous chats found.");
-        return;
-      }
-      
-      // Sort chats by update time, newest first
-      chats.sort((a, b) => (new Date(b.updatedAt || b.createdAt || 0)) - (new Date(a.updatedAt || a.createdAt || 0)));
-      log(`Retrieved ${chats.length} chats`);
-      
-      // Create modal
-      const modal = document.createElement('div');
-      modal.id = 'tm-reference-chat-modal'; 
-      modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 10000; display: flex; justify-content: center; align-items: center;';
-      
-      // Add keyboard handling
-      modal.tabIndex = -1;
-      modal.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-          const modalToRemove = document.getElementById('tm-reference-chat-modal');
-          if (modalToRemove) modalToRemove.remove();
+  const TRUNCATION_STRATEGIES = {
+    'none': 'Insert as is',
+    'head-tail': 'Keep first and last turns',
+    'user-only': 'Keep only my prompts',
+    'recent': 'Keep most recent turns'
+  };
+
+  /**
+   * Rough token estimate based on character count. Good enough to warn before
+   * a reference blows the context window; not meant to match any tokenizer.
+   * @param {string} text - Text to measure.
+   * @returns {number} Estimated token count.
+   */
+  function estimateTokens(text) {
+    return Math.ceil((text || '').length / CONFIG.charsPerToken);
+  }
+
+  function elisionMarker(count, what) {
+    return { role: 'elision', text: '[... ' + count + ' ' + what + (count === 1 ? '' : 's') + ' omitted ...]' };
+  }
+
+  /**
+   * Splits messages into turns. A turn starts at a user message and runs until the next one;
+   * leading assistant messages form a turn of their own.
+   * @param {Array<Object>} messages - Messages from getReferenceMessages.
+   * @returns {Array<Array<Object>>} Turns in order.
+   */
+  function groupTurns(messages) {
+    const turns = [];
+    messages.forEach(msg => {
+      if (msg.role === 'user' || turns.length === 0) turns.push([]);
+      turns[turns.length - 1].push(msg);
+    });
+    return turns;
+  }
+
+  /**
+   * Shrinks a message list to fit a token budget, leaving a marker wherever content was dropped.
+   * At least one turn is always kept, so the result can still exceed a very small budget.
+   * @param {Object} chat - The chat being referenced (used to measure the header and footer).
+   * @param {Array<Object>} messages - Messages to include, in order.
+   * @param {string} strategy - One of the TRUNCATION_STRATEGIES keys.
+   * @param {number} budget - Tokens available for the whole reference block.
+   * @param {string} [templateId] - Template the result will be formatted with.
+   * @returns {Array<Object>} Messages to pass to formatReference.
+   */
+  function applyTokenBudget(chat, messages, strategy, budget, templateId) {
+    if (strategy === 'none' || estimateTokens(formatReference(chat, messages, templateId)) <= budget) return messages;
+
+    // Turns are measured as the template renders them, escaping included: JSON and XML output is
+    // noticeably longer than the raw message text
+    const overhead = estimateTokens(formatReference(chat, [], templateId));
+    const separatorCost = estimateTokens(resolveTemplate(templateId).separator);
+    const cost = msgs => Math.max(0, estimateTokens(formatReference(chat, msgs, templateId)) - overhead) + separatorCost;
+    const available = budget - overhead;
+
+    if (strategy === 'user-only') {
+      const result = [];
+      let dropped = 0;
+      messages.forEach(msg => {
+        if (msg.role === 'user' || msg.role === 'system') {
+          if (dropped) result.push(elisionMarker(dropped, 'assistant message'));
+          dropped = 0;
+          result.push(msg);
+        } else {
+          dropped++;
+        }
+      });
+      if (dropped) result.push(elisionMarker(dropped, 'assistant message'));
+      return result;
+    }
+
+    const turns = groupTurns(messages);
+
+    if (strategy === 'recent') {
+      let used = 0;
+      let start = turns.length;
+      while (start > 0) {
+        const turnCost = cost(turns[start - 1]);
+        if (start < turns.length && used + turnCost > available) break;
+        used += turnCost;
+        start--;
+      }
+      const kept = [].concat(...turns.slice(start));
+      const dropped = messages.length - kept.length;
+      return dropped ? [elisionMarker(dropped, 'earlier message')].concat(kept) : kept;
+    }
+
+    // 'head-tail': alternate between the first and last turns until the budget is used up
+    let head = 0;
+    let tail = turns.length;
+    let used = 0;
+    let fromHead = true;
+    while (head < tail) {
+      const turn = fromHead ? turns[head] : turns[tail - 1];
+      const turnCost = cost(turn);
+      if ((head > 0 || tail < turns.length) && used + turnCost > available) break;
+      used += turnCost;
+      if (fromHead) head++;
+      else tail--;
+      fromHead = !fromHead;
+    }
+    const headMessages = [].concat(...turns.slice(0, head));
+    const tailMessages = [].concat(...turns.slice(tail));
+    const dropped = messages.length - headMessages.length - tailMessages.length;
+    return dropped ? headMessages.concat([elisionMarker(dropped, 'message')], tailMessages) : messages;
+  }
+
+  /**
+   * Applies the token budget to a combined reference. Each chat gets a share of the budget
+   * proportional to its own size, then applyTokenBudget trims it with the chosen strategy.
+   * @param {Array<{chat: Object, messages: ?Array<Object>}>} entries - Chats in order.
+   * @param {string} strategy - One of the TRUNCATION_STRATEGIES keys.
+   * @param {number} budget - Tokens available for the whole combined block.
+   * @param {string} [templateId] - Template the result will be formatted with.
+   * @returns {Array<{chat: Object, messages: Array<Object>}>} Entries with trimmed message lists.
+   */
+  function applyCombinedTokenBudget(entries, strategy, budget, templateId) {
+    const resolved = entries.map(entry => ({ chat: entry.chat, messages: entry.messages || getReferenceMessages(entry.chat) }));
+    if (strategy === 'none' || estimateTokens(formatCombinedReference(resolved, templateId)) <= budget) return resolved;
+
+    const sizes = resolved.map(entry => estimateTokens(formatReference(entry.chat, entry.messages, templateId)));
+    const total = sizes.reduce((sum, size) => sum + size, 0) || 1;
+    return resolved.map((entry, i) => ({
+      chat: entry.chat,
+      messages: applyTokenBudget(entry.chat, entry.messages, strategy, Math.floor(budget * sizes[i] / total), templateId)
+    }));
+  }
+
+  // ----------------------------------------
+  // Reference Templates
+  // ----------------------------------------
+  // Placeholders: {{title}}, {{date}}, {{model}}, {{count}} in header/footer;
+  // {{role}} (User/Assistant), {{roleId}} (user/assistant) and {{content}} in message;
+  // {{index}} and {{total}} (position of the chat in a combined reference) everywhere.
+  // Elision markers use the `elision` template if present, otherwise `message` with roleId 'elision'.
+  // `separator` goes between messages, and `escape` ('xml' or 'json') is applied to every value.
+  // A single reference is wrapStart + header + messages + footer + wrapEnd. A combined reference is
+  // groupStart + one header..footer section per chat, joined by groupSeparator + groupEnd.
+  const REFERENCE_TEMPLATES = {
+    plain: {
+      label: 'Plain text',
+      header: '--- Start Reference ---\nConversation: "{{title}}"\nLast Updated: {{date}}\n\n',
+      message: '{{role}}: {{content}}\n\n',
+      elision: '{{content}}\n\n',
+      footer: '--- End Reference ---\n',
+      groupStart: '\n\n=== Start Combined Reference ({{total}} conversations) ===\n\n',
+      groupEnd: '=== End Combined Reference ===\n'
+    },
+    markdown: {
+      label: 'Markdown',
+      header: '> **Reference:** {{title}}  \n> _Last updated {{date}} \u00b7 {{model}}_\n\n',
+      message: '**{{role}}:**\n\n{{content}}\n\n',
+      elision: '_{{content}}_\n\n',
+      footer: '---\n',
+      groupStart: '\n\n**Combined reference from {{total}} conversations**\n\n',
+      groupSeparator: '\n'
+    },
+    xml: {
+      label: 'XML tags',
+      escape: 'xml',
+      header: '<conversation title="{{title}}" updated="{{date}}" model="{{model}}">\n',
+      message: '<message role="{{roleId}}">\n{{content}}\n</message>\n',
+      elision: '<omitted>{{content}}</omitted>\n',
+      footer: '</conversation>\n',
+      groupStart: '\n\n<conversations count="{{total}}">\n',
+      groupSeparator: '',
+      groupEnd: '</conversations>\n'
+    },
+    json: {
+      label: 'JSON',
+      escape: 'json',
+      wrapStart: '\n\n```json\n',
+      header: '{\n  "conversation": {{title}},\n  "updated": {{date}},\n  "model": {{model}},\n  "messages": [\n',
+      message: '    { "role": {{roleId}}, "content": {{content}} }',
+      separator: ',\n',
+      footer: '\n  ]\n}',
+      wrapEnd: '\n```\n',
+      groupStart: '\n\n```json\n[\n',
+      groupSeparator: ',\n',
+      groupEnd: '\n]\n```\n'
+    }
+  };
+
+  const TEMPLATE_DEFAULTS = {
+    wrapStart: '\n\n',
+    wrapEnd: '',
+    separator: '',
+    groupStart: '\n\n',
+    groupSeparator: '\n',
+    groupEnd: ''
+  };
+
+  function getTemplates() {
+    return Object.assign({}, REFERENCE_TEMPLATES, CONFIG.customTemplates || {});
+  }
+
+  const TEMPLATE_FIELDS = ['label', 'escape', 'wrapStart', 'header', 'message', 'elision', 'separator', 'footer', 'wrapEnd',
+    'groupStart', 'groupSeparator', 'groupEnd'];
+
+  /**
+   * Checks user-defined templates before they're saved, so a typo can't break every insert.
+   * @param {*} templates - Parsed CONFIG.customTemplates value.
+   * @returns {Array<string>} Problems found, empty if the templates can be used.
+   */
+  function describeTemplateErrors(templates) {
+    if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+      return ['expected a JSON object of formats keyed by id'];
+    }
+    const errors = [];
+    Object.keys(templates).forEach(id => {
+      const template = templates[id];
+      if (!/^[\w-]+$/.test(id)) errors.push('"' + id + '" is not a valid id (letters, digits, _ and - only)');
+      if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        errors.push('"' + id + '" must be an object');
+        return;
+      }
+      if (typeof template.message !== 'string') errors.push('"' + id + '" needs a "message" string');
+      Object.keys(template).forEach(name => {
+        if (TEMPLATE_FIELDS.indexOf(name) === -1) errors.push('"' + id + '" has unknown field "' + name + '"');
+        else if (typeof template[name] !== 'string') errors.push('"' + id + '.' + name + '" must be a string');
+      });
+      if (template.escape !== undefined && ['xml', 'json'].indexOf(template.escape) === -1) {
+        errors.push('"' + id + '.escape" must be "xml" or "json"');
+      }
+    });
+    return errors;
+  }
+
+  function resolveTemplate(templateId) {
+    const templates = getTemplates();
+    return Object.assign({}, TEMPLATE_DEFAULTS, templates[templateId] || templates[getSelectedTemplateId()]);
+  }
+
+  /**
+   * Returns the id of the template to use: the last one picked in the modal, else CONFIG.defaultTemplate.
+   * @returns {string} A key of getTemplates().
+   */
+  function getSelectedTemplateId() {
+    const templates = getTemplates();
+    const saved = loadPreference('template', null);
+    if (saved && templates[saved]) return saved;
+    return templates[CONFIG.defaultTemplate] ? CONFIG.defaultTemplate : 'plain';
+  }
+
+  function escapeTemplateValue(value, escape) {
+    if (escape === 'json') return JSON.stringify(String(value));
+    if (escape === 'xml') return escapeHtml(value);
+    return String(value);
+  }
+
+  /**
+   * Replaces {{placeholders}} in a template string. Unknown placeholders are left as they are.
+   * @param {string} str - Template string.
+   * @param {Object} values - Placeholder values.
+   * @param {string} [escape] - 'xml' or 'json' to escape values for that format.
+   * @returns {string} The filled-in string.
+   */
+  function fillTemplate(str, values, escape) {
+    return (str || '').replace(/\{\{(\w+)\}\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(values, name) ? escapeTemplateValue(values[name], escape) : match);
+  }
+
+  // ----------------------------------------
+  // AI Summaries
+  // ----------------------------------------
+  /**
+   * Reads the first non-empty string among TypingMind's localStorage settings.
+   * TypingMind stores most settings JSON-encoded, so quoted strings are unwrapped.
+   * @param {Array<string>} keys - localStorage keys to try in order.
+   * @returns {string} The value, or an empty string.
+   */
+  function readTypingMindSetting(keys) {
+    for (const key of keys) {
+      const raw = localStorage.getItem(key);
+      if (!raw) continue;
+      let value = raw;
+      try {
+        value = JSON.parse(raw);
+      } catch (e) {
+        // Stored unencoded
+      }
+      if (typeof value === 'string' && value.trim()) return value.trim();
+    }
+    return '';
+  }
+
+  function getProviderEndpoint() {
+    const baseUrl = readTypingMindSetting(CONFIG.apiBaseUrlStorageKeys) || 'https://api.openai.com/v1';
+    return baseUrl.replace(/\/+$/, '') + '/chat/completions';
+  }
+
+  function getSummaryEndpoint() {
+    return CONFIG.summaryEndpoint || getProviderEndpoint();
+  }
+
+  function parseUrl(url) {
+    try {
+      return new URL(url, location.href);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function isLoopbackUrl(url) {
+    const parsed = parseUrl(url);
+    return !!parsed && /^(localhost|127(\.\d+){3}|\[::1\])$|\.localhost$/.test(parsed.hostname);
+  }
+
+  /**
+   * Picks the key sent with a summary request. TypingMind's stored key belongs to the provider at
+   * TypingMind's base URL, so it's only used when the endpoint is on that provider's origin.
+   * @param {string} endpoint - Where the request goes.
+   * @returns {string} The key, or an empty string.
+   */
+  function getSummaryApiKey(endpoint) {
+    if (CONFIG.summaryApiKey) return CONFIG.summaryApiKey;
+    const target = parseUrl(endpoint);
+    const provider = parseUrl(getProviderEndpoint());
+    return target && provider && target.origin === provider.origin ? readTypingMindSetting(CONFIG.apiKeyStorageKeys) : '';
+  }
+
+  function getCachedSummary(chat) {
+    const cache = loadPreference('summaries', {});
+    const entry = cache[getChatKey(chat)];
+    return entry && entry.updatedAt === getChatTimestamp(chat) ? entry.summary : null;
+  }
+
+  function cacheSummary(chat, summary) {
+    const cache = loadPreference('summaries', {});
+    cache[getChatKey(chat)] = { updatedAt: getChatTimestamp(chat), summary: summary, cachedAt: Date.now() };
+    const keys = Object.keys(cache);
+    if (keys.length > CONFIG.summaryCacheSize) {
+      keys.sort((a, b) => cache[a].cachedAt - cache[b].cachedAt)
+        .slice(0, keys.length - CONFIG.summaryCacheSize)
+        .forEach(key => delete cache[key]);
+    }
+    savePreference('summaries', cache);
+  }
+
+  /**
+   * Returns a condensed summary of a chat, generated by the configured endpoint.
+   * Results are cached per chat and updatedAt, so a summary is only regenerated after the chat changes.
+   * @param {Object} chat - The chat to summarize.
+   * @returns {Promise<string>} The summary text.
+   */
+  async function summarizeChat(chat) {
+    const cached = getCachedSummary(chat);
+    if (cached) {
+      log("Using cached summary for:", chat.chatTitle || 'Untitled');
+      return cached;
+    }
+
+    const endpoint = getSummaryEndpoint();
+    const apiKey = getSummaryApiKey(endpoint);
+    if (!apiKey && !isLoopbackUrl(endpoint)) {
+      throw new Error(endpoint === getProviderEndpoint() ?
+        'No API key found. Add one in TypingMind or set summaryApiKey.' :
+        'Set summaryApiKey for ' + endpoint + '; TypingMind\'s API key is only sent to its own provider.');
+    }
+
+    // The transcript leaves the browser, so it's redacted like an inserted reference
+    const messages = applyTokenBudget(chat, getReferenceMessages(chat), 'head-tail', CONFIG.summaryMaxInputTokens, 'plain');
+    const transcript = redactReference(formatReference(chat, messages, 'plain')).text.trim();
+
+    log(`Requesting summary from ${endpoint}`);
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = 'Bearer ' + apiKey;
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify({
+        model: CONFIG.summaryModel,
+        temperature: 0.3,
+        messages: [
+          { role: 'system', content: CONFIG.summaryPrompt },
+          { role: 'user', content: transcript }
+        ]
+      })
+    });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error('Summary request failed (' + response.status + ')' + (detail ? ': ' + detail.slice(0, 200) : ''));
+    }
+
+    const data = await response.json().catch(() => {
+      throw new Error('Summary response was not valid JSON');
+    });
+    const summary = data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+    if (!summary || !summary.trim()) throw new Error('Summary response was empty');
+
+    cacheSummary(chat, summary.trim());
+    return summary.trim();
+  }
+
+  // ----------------------------------------
+  // Reference Formatting & Insertion
+  // ----------------------------------------
+  /**
+   * Lists the messages a reference to the chat can contain, in order.
+   * User and assistant text is always there; system prompt, tool calls, images and attachments
+   * only when the include options ask for them.
+   * @param {Object} chat - The chat being referenced.
+   * @param {Object} [include] - Flags keyed like INCLUDE_OPTIONS; defaults to the saved choice.
+   * @param {Object} [found] - Receives a count of each kind of extra content in the chat, included or not.
+   * @returns {Array<{index: number, role: string, text: string, key: string, extras: Array<string>}>} Messages,
+   *          where index is the position in chat.messages (-1 for the chat's own system prompt) and extras
+   *          names the INCLUDE_OPTIONS that contributed to the entry.
+   */
+  function getReferenceMessages(chat, include, found) {
+    if (!chat || !Array.isArray(chat.messages)) return [];
+    include = include || getIncludeOptions();
+    const result = [];
+    const push = (index, role, text, key, extras) => {
+      text = text.trim();
+      if (text) result.push({ index: index, role: role, text: text, key: key, extras: extras });
+    };
+
+    const hasSystemMessage = chat.messages.some(msg => msg && msg.role === 'system');
+    const chatPrompt = hasSystemMessage ? '' : getSystemPrompt(chat);
+    if (chatPrompt) {
+      if (found) found.system = (found.system || 0) + 1;
+      if (include.system) push(-1, 'system', chatPrompt, 's', ['system']);
+    }
+
+    chat.messages.forEach((msg, index) => {
+      if (!msg) return;
+      if (msg.role === 'system') {
+        if (found) found.system = (found.system || 0) + 1;
+        if (include.system) push(index, 'system', getMessageText(msg), 'm' + index, ['system']);
+        return;
+      }
+      if (msg.role === 'tool' || msg.role === 'function') {
+        if (found) found.tools = (found.tools || 0) + 1;
+        if (include.tools) push(index, 'tool', formatToolResult(msg.name, msg.content), 'm' + index, ['tools']);
+        return;
+      }
+      if (msg.role !== 'user' && msg.role !== 'assistant') return;
+
+      const counts = {};
+      const text = getMessageContent(msg, include, counts);
+      Object.keys(counts).forEach(kind => {
+        if (found) found[kind] = (found[kind] || 0) + counts[kind];
+      });
+      push(index, msg.role, text, 'm' + index, Object.keys(counts).filter(kind => include[kind]));
+
+      const calls = getToolCallBlocks(msg);
+      if (found && calls.length) found.tools = (found.tools || 0) + calls.length;
+      if (include.tools) calls.forEach((block, i) => push(index, 'tool', block, 'm' + index + '.' + i, ['tools']));
+    });
+    return result;
+  }
+
+  function getChatValues(chat, messages, position) {
+    return Object.assign({
+      title: chat.chatTitle || 'Untitled',
+      date: chat.updatedAt ? new Date(chat.updatedAt).toLocaleString() : 'N/A',
+      model: chat.model || 'unknown model',
+      count: messages.filter(msg => msg.role !== 'elision').length,
+      index: 1,
+      total: 1
+    }, position || {});
+  }
+
+  /**
+   * Formats one chat as a header..footer section, without the outer wrapper.
+   * @param {Object} template - A resolved template.
+   * @param {Object} chat - The chat being referenced.
+   * @param {Array<Object>} messages - Messages to include.
+   * @param {Object} [position] - { index, total } when the section is part of a combined reference.
+   * @returns {string} The section text.
+   */
+  function formatSection(template, chat, messages, position) {
+    const chatValues = getChatValues(chat, messages, position);
+    const formattedText = messages.map(msg => {
+      const values = Object.assign({}, chatValues, {
+        role: ROLE_LABELS[msg.role] || 'Note',
+        roleId: msg.role,
+        content: msg.text
+      });
+      const str = msg.role === 'elision' && template.elision !== undefined ? template.elision : template.message;
+      return fillTemplate(str, values, template.escape);
+    }).join(template.separator);
+
+    return fillTemplate(template.header, chatValues, template.escape) + formattedText + fillTemplate(template.footer, chatValues, template.escape);
+  }
+
+  /**
+   * Builds the reference block for a chat.
+   * @param {Object} chat - The chat being referenced.
+   * @param {Array<Object>} [messages] - Messages from getReferenceMessages (or applyTokenBudget) to include;
+   *        defaults to all. Entries with role 'elision' are written out as bare markers.
+   * @param {string} [templateId] - Key of getTemplates(); defaults to the selected template.
+   * @returns {string} The text to insert into the prompt.
+   */
+  function formatReference(chat, messages, templateId) {
+    const template = resolveTemplate(templateId);
+    const included = messages || getReferenceMessages(chat);
+    const chatValues = getChatValues(chat, included);
+    return fillTemplate(template.wrapStart, chatValues, template.escape) +
+      formatSection(template, chat, included) +
+      fillTemplate(template.wrapEnd, chatValues, template.escape);
+  }
+
+  /**
+   * Builds one reference block covering several chats, with a labeled section per chat.
+   * @param {Array<{chat: Object, messages: ?Array<Object>}>} entries - Chats in the order they should appear;
+   *        messages defaults to the whole chat.
+   * @param {string} [templateId] - Key of getTemplates(); defaults to the selected template.
+   * @returns {string} The text to insert into the prompt.
+   */
+  function formatCombinedReference(entries, templateId) {
+    if (entries.length === 1) return formatReference(entries[0].chat, entries[0].messages, templateId);
+
+    const template = resolveTemplate(templateId);
+    const groupValues = { total: entries.length };
+    const sections = entries.map((entry, i) =>
+      formatSection(template, entry.chat, entry.messages || getReferenceMessages(entry.chat), { index: i + 1, total: entries.length }));
+    return fillTemplate(template.groupStart, groupValues, template.escape) +
+      sections.join(template.groupSeparator) +
+      fillTemplate(template.groupEnd, groupValues, template.escape);
+  }
+
+  /**
+   * Builds what inserting a whole chat adds: a live-link token in link mode, otherwise the chat formatted
+   * with the selected template and include options, trimmed with CONFIG.truncationStrategy if it doesn't
+   * fit in what's left of CONFIG.tokenBudget after the current prompt.
+   * @param {Object} chat - The full chat.
+   * @returns {{text: string, format: string, strategy: ?string, rawTokens: number, promptTokens: number, overBudget: boolean}}
+   *   The text, the format it was built with ('link' or a template id), the truncation strategy (used when over budget),
+   *   the untrimmed reference size and the prompt size.
+   */
+  function buildWholeChatReference(chat) {
+    const textarea = findChatInput();
+    const promptTokens = textarea ? estimateTokens(textarea.value) : 0;
+    if (isLinkMode()) {
+      const token = formatReferenceToken(chat);
+      return { text: token, format: 'link', strategy: null, rawTokens: estimateTokens(token), promptTokens: promptTokens, overBudget: false };
+    }
+    const templateId = getSelectedTemplateId();
+    const messages = getReferenceMessages(chat);
+    const rawTokens = estimateTokens(formatReference(chat, messages, templateId));
+    const budget = Math.max(0, CONFIG.tokenBudget - promptTokens);
+    const overBudget = rawTokens > budget;
+    const strategy = CONFIG.truncationStrategy;
+    const included = overBudget ? applyTokenBudget(chat, messages, strategy, budget, templateId) : messages;
+    return { text: formatReference(chat, included, templateId), format: templateId, strategy: strategy,
+      rawTokens: rawTokens, promptTokens: promptTokens, overBudget: overBudget };
+  }
+
+  // ----------------------------------------
+  // Redaction
+  // ----------------------------------------
+  // Built-in rules, each switched on by its CONFIG key. Keys need a run of 16+ letters and digits containing
+  // a digit, so names like sk-learn-compatible aren't masked. Phone numbers need a phone shape: a leading +,
+  // a bracketed area code, or 3-3-4 digits joined by - or . (never spaces alone), so number lists,
+  // thousands separators, dates and version strings aren't masked.
+  const REDACTION_RULES = [
+    { type: 'key', setting: 'redactKeys', label: 'API key', mask: '[REDACTED KEY]',
+      pattern: /\b(?:sk|pk|rk)-(?:[A-Za-z0-9_]+-)*(?=[A-Za-z_]*\d)[A-Za-z0-9_]{16,}[A-Za-z0-9_-]*|\b[spr]k_(?:live|test)_[A-Za-z0-9]{16,}|\bAKIA[0-9A-Z]{16}\b|\bgh[pousr]_[A-Za-z0-9]{30,}|\bgithub_pat_[A-Za-z0-9_]{30,}|\bAIza[0-9A-Za-z_-]{35}|\bxox[abprs]-[A-Za-z0-9-]{10,}|\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}|\bBearer\s+[A-Za-z0-9._~+\/-]{20,}=*/g },
+    { type: 'email', setting: 'redactEmails', label: 'email', mask: '[REDACTED EMAIL]',
+      pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+    { type: 'phone', setting: 'redactPhones', label: 'phone number', mask: '[REDACTED PHONE]',
+      pattern: /(?<![\w+.-])(?:\+\d{1,3}(?:[ .-]?\(\d{1,4}\))?(?:[ .-]?\d{2,4}){2,4}|\(\d{2,4}\)[ .-]?\d{3,4}[ .-]?\d{3,5}|\d{3}([-.])\d{3}\1\d{4})(?![\w-]|\.\d)/g }
+  ];
+
+  let redactionPatternCache = { source: null, parsed: null };
+
+  /**
+   * Parses the custom redaction rules, one per line, as bare patterns or /pattern/flags.
+   * @param {string} source - CONFIG.redactPatterns text.
+   * @returns {{rules: Array<Object>, errors: Array<string>}} Rules shaped like REDACTION_RULES, and the lines that aren't valid regexes.
+   */
+  function parseRedactionPatterns(source) {
+    const rules = [];
+    const errors = [];
+    (source || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const literal = line.match(/^\/(.+)\/([a-z]*)$/);
+      try {
+        const flags = literal ? literal[2].replace('g', '') + 'g' : 'g';
+        rules.push({ type: 'custom', label: 'custom match', mask: '[REDACTED]', pattern: new RegExp(literal ? literal[1] : line, flags) });
+      } catch (error) {
+        errors.push(line);
+      }
+    });
+    return { rules: rules, errors: errors };
+  }
+
+  function getRedactionRules() {
+    if (redactionPatternCache.source !== CONFIG.redactPatterns) {
+      const parsed = parseRedactionPatterns(CONFIG.redactPatterns);
+      if (parsed.errors.length) log('Ignoring invalid redaction patterns:', parsed.errors);
+      redactionPatternCache = { source: CONFIG.redactPatterns, parsed: parsed.rules };
+    }
+    return REDACTION_RULES.filter(rule => CONFIG[rule.setting]).concat(redactionPatternCache.parsed);
+  }
+
+  /**
+   * Summarizes redaction counts, e.g. "2 emails and 1 API key".
+   * @param {Array<Object>} items - Redacted items from redactReference.
+   * @returns {string}
+   */
+  function describeRedactions(items) {
+    const counts = new Map();
+    items.forEach(item => counts.set(item.label, (counts.get(item.label) || 0) + 1));
+    const parts = Array.from(counts, ([label, count]) => count + ' ' + label + (count === 1 ? '' : label.endsWith('h') ? 'es' : 's'));
+    return parts.length > 1 ? parts.slice(0, -1).join(', ') + ' and ' + parts[parts.length - 1] : parts.join('');
+  }
+
+  /**
+   * Masks everything the enabled redaction rules match in formatted reference text. When anything was
+   * masked, a note with the count is added after the reference so the model knows the gaps are deliberate.
+   * Where matches overlap, the one starting first (or the longer one) wins.
+   * @param {string} text - Formatted reference.
+   * @returns {{text: string, items: Array<{start: number, end: number, original: string, label: string}>}}
+   *   The text to insert and the masked items, with start/end marking each mask in that text.
+   */
+  function redactReference(text) {
+    const matches = [];
+    getRedactionRules().forEach(rule => {
+      for (const match of text.matchAll(rule.pattern)) {
+        if (match[0]) matches.push({ index: match.index, original: match[0], rule: rule });
+      }
+    });
+    if (!matches.length) return { text: text, items: [] };
+    matches.sort((a, b) => a.index - b.index || b.original.length - a.original.length);
+
+    let redacted = '';
+    let position = 0;
+    const items = [];
+    matches.forEach(match => {
+      if (match.index < position) return;
+      redacted += text.slice(position, match.index);
+      items.push({ start: redacted.length, end: redacted.length + match.rule.mask.length, original: match.original, label: match.rule.label });
+      redacted += match.rule.mask;
+      position = match.index + match.original.length;
+    });
+    redacted += text.slice(position);
+    const note = '(' + describeRedactions(items) + ' redacted from this reference)';
+    const body = redacted.trimEnd();
+    return { text: body + '\n' + note + (redacted.slice(body.length) || '\n'), items: items };
+  }
+
+  // ----------------------------------------
+  // Delivery & Undo
+  // ----------------------------------------
+  const DELIVERY_MODES = {
+    'selection': 'At cursor',
+    'prepend': 'At start of prompt',
+    'append': 'At end of prompt',
+    'clipboard': 'Copy to clipboard'
+  };
+
+  function getDeliveryMode() {
+    const mode = loadPreference('deliveryMode', CONFIG.deliveryMode);
+    return DELIVERY_MODES[mode] ? mode : 'selection';
+  }
+
+  function createDeliveryModeSelect() {
+    const select = createOptionSelect('tm-reference-delivery-mode', DELIVERY_MODES, getDeliveryMode());
+    select.title = 'Where references go';
+    select.setAttribute('aria-label', 'Where references go');
+    select.addEventListener('change', () => savePreference('deliveryMode', select.value));
+    return select;
+  }
+
+  /**
+   * Copies text to the clipboard, with a hidden-textarea fallback where the async Clipboard API
+   * is missing or refuses (e.g. the page doesn't have focus).
+   * @param {string} text - Text to copy.
+   * @returns {Promise<boolean>} True if the text was copied.
+   */
+  async function copyToClipboard(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      try {
+        await navigator.clipboard.writeText(text);
+        return true;
+      } catch (error) {
+        log("Clipboard API failed, trying copy command:", error);
+      }
+    }
+    const scratch = document.createElement('textarea');
+    scratch.value = text;
+    scratch.setAttribute('readonly', '');
+    scratch.style.position = 'fixed';
+    scratch.style.opacity = '0';
+    document.body.appendChild(scratch);
+    scratch.select();
+    try {
+      return document.execCommand('copy');
+    } catch (error) {
+      log("Copy command failed:", error);
+      return false;
+    } finally {
+      scratch.remove();
+    }
+  }
+
+  /**
+   * Shows a short notice at the top of the page, replacing any previous one.
+   * @param {string} message - Notice text.
+   * @param {{label: string, onClick: Function}} [action] - Optional button, e.g. undo.
+   */
+  function showToast(message, action) {
+    hideToast();
+    const toast = document.createElement('div');
+    toast.id = 'tm-reference-toast';
+    toast.className = 'tm-ref-toast';
+    toast.setAttribute('role', 'status');
+    registerThemedRoot(toast);
+    toast.appendChild(createTextElement('span', '', message));
+    if (action) {
+      const button = createButton(action.label, 'tm-ref-btn-small');
+      button.onclick = () => {
+        hideToast();
+        action.onClick();
+      };
+      toast.appendChild(button);
+    }
+    document.body.appendChild(toast);
+    toastTimer = setTimeout(hideToast, CONFIG.toastDuration);
+  }
+
+  function hideToast() {
+    clearTimeout(toastTimer);
+    const toast = document.getElementById('tm-reference-toast');
+    if (toast) removeThemedRoot(toast);
+  }
+
+  /**
+   * Delivers text by clipboard when it couldn't be put into the prompt, and says so.
+   * @param {string} text - The reference.
+   */
+  function deliverByClipboard(text) {
+    copyToClipboard(text).then(copied => {
+      if (copied) showToast("The reference couldn't be inserted into the prompt, so it was copied. Paste it with Ctrl+V.");
+      else alert("Could not insert text. Please try copying it manually.");
+    });
+  }
+
+  /**
+   * Takes an inserted reference back out, restoring whatever it replaced. Refuses if the prompt has been
+   * edited since, rather than guessing which part was the reference.
+   * @param {HTMLTextAreaElement} textarea - The chat input.
+   * @param {Object} insertion - { start, end, text, before, after } as recorded by insertReference.
+   */
+  function undoReference(textarea, insertion) {
+    if (!textarea.isConnected || textarea.value !== insertion.after) {
+      showToast('The prompt has changed since the reference was inserted, so it was left as is.');
+      return;
+    }
+    const replaced = insertion.before.slice(insertion.start, insertion.end);
+    if (insertTextIntoInput(textarea, replaced, insertion.start, insertion.start + insertion.text.length)) {
+      textarea.setSelectionRange(insertion.start, insertion.start + replaced.length);
+      log("Reference undone");
+    }
+  }
+
+  /**
+   * Delivers reference text the way getDeliveryMode() says and closes the modal. After inserting into
+   * the prompt it checks that TypingMind kept the text (React can revert a value it didn't see change)
+   * and falls back to the clipboard if not; otherwise it offers "Undo reference". Redaction rules are
+   * applied first.
+   * @param {string} text - The formatted reference.
+   * @returns {boolean} True if the text was delivered.
+   */
+  function insertReference(text) {
+    const redaction = redactReference(text);
+    const redactedNote = redaction.items.length ? ' (' + describeRedactions(redaction.items) + ' redacted)' : '';
+    text = redaction.text;
+    const mode = getDeliveryMode();
+    if (mode === 'clipboard') {
+      closeModal();
+      copyToClipboard(text).then(copied => {
+        if (copied) showToast('Reference copied to the clipboard' + redactedNote);
+        else alert("Could not copy the reference to the clipboard.");
+      });
+      return true;
+    }
+
+    const textarea = findChatInput();
+    if (!textarea) {
+      alert("Error: Could not find the chat input textarea.");
+      log("Textarea not found for insertion");
+      return false;
+    }
+    
+    const before = textarea.value;
+    let start = textarea.selectionStart;
+    let end = textarea.selectionEnd;
+    let insertText = text;
+    if (mode === 'prepend') {
+      start = end = 0;
+      insertText = before ? text.trim() + '\n\n' : text.replace(/^\s+/, '');
+    } else if (mode === 'append') {
+      start = end = before.length;
+      if (!before) insertText = text.replace(/^\s+/, '');
+    }
+    
+    const success = insertTextIntoInput(textarea, insertText, start, end);
+    closeModal();
+    if (!success) {
+      log("Text insertion failed, copying instead");
+      deliverByClipboard(text);
+      return true;
+    }
+    
+    const insertion = { start: start, end: end, text: insertText, before: before, after: textarea.value };
+    setTimeout(() => {
+      if (textarea.value === before) {
+        log("TypingMind reverted the insertion, copying instead");
+        deliverByClipboard(text);
+        return;
+      }
+      showToast('Reference inserted' + redactedNote, { label: CONFIG.undoReferenceText, onClick: () => undoReference(textarea, insertion) });
+    }, CONFIG.insertCheckDelay);
+    return true;
+  }
+
+  // ----------------------------------------
+  // Reference History & Pins
+  // ----------------------------------------
+  // History entries record how a reference was built rather than its text, so inserting one again picks up
+  // the chats' current content: { chats: [{ key, title, messages }], format, include, strategy, insertedAt }.
+  // messages holds getReferenceMessages indexes (-1 is the system prompt), or null for the whole chat.
+  // format is a template id, 'link' for live-link tokens or 'summary'.
+
+  function getPinnedKeys() {
+    const saved = loadPreference('pinned', []);
+    return Array.isArray(saved) ? saved.filter(key => typeof key === 'string') : [];
+  }
+
+  function isPinned(chat) {
+    return getPinnedKeys().includes(getChatKey(chat));
+  }
+
+  /**
+   * Pins or unpins a chat. Newly pinned chats go to the top of the Pinned section.
+   * @param {Object} chat - Chat or chat metadata.
+   * @returns {boolean} True if the chat is now pinned.
+   */
+  function togglePinned(chat) {
+    const key = getChatKey(chat);
+    const pinned = getPinnedKeys();
+    const index = pinned.indexOf(key);
+    if (index === -1) pinned.unshift(key);
+    else pinned.splice(index, 1);
+    savePreference('pinned', pinned);
+    return index === -1;
+  }
+
+  function getReferenceHistory() {
+    const saved = loadPreference('history', []);
+    return Array.isArray(saved) ? saved.filter(item => item && Array.isArray(item.chats) && item.chats.length && typeof item.format === 'string') : [];
+  }
+
+  function clearReferenceHistory() {
+    savePreference('history', []);
+  }
+
+  function getHistorySignature(item) {
+    return JSON.stringify([item.chats.map(ref => [ref.key, ref.messages]), item.format, item.include, item.strategy]);
+  }
+
+  /**
+   * Puts an entry at the top of the history, dropping an earlier entry with the same chats and options.
+   * @param {Object} item - History entry.
+   */
+  function saveHistoryItem(item) {
+    if (!(CONFIG.historyLimit > 0)) return;
+    const signature = getHistorySignature(item);
+    const history = getReferenceHistory().filter(old => getHistorySignature(old) !== signature);
+    history.unshift(item);
+    savePreference('history', history.slice(0, CONFIG.historyLimit));
+  }
+
+  /**
+   * Records an inserted reference.
+   * @param {Array<{chat: Object, messages: ?Array<Object>}>} entries - Chats as selected, before any truncation.
+   * @param {string} format - Template id, 'link' or 'summary'.
+   * @param {string} [strategy] - Truncation strategy that was applied, if any.
+   */
+  function recordReference(entries, format, strategy) {
+    saveHistoryItem({
+      chats: entries.map(entry => ({
+        key: getChatKey(entry.chat),
+        title: entry.chat.chatTitle || 'Untitled Conversation',
+        messages: entry.messages ? entry.messages.map(msg => msg.index) : null
+      })),
+      format: format,
+      include: getIncludeOptions(),
+      strategy: strategy || 'none',
+      insertedAt: new Date().toISOString()
+    });
+  }
+
+  function describeHistoryItem(item) {
+    const templates = getTemplates();
+    const format = item.format === 'link' ? 'Live link' : item.format === 'summary' ? 'Summary' :
+      (templates[item.format] && templates[item.format].label) || item.format;
+    const scope = item.chats.length > 1 ? item.chats.length + ' chats' :
+      item.chats[0].messages ? item.chats[0].messages.length + (item.chats[0].messages.length === 1 ? ' message' : ' messages') : 'whole chat';
+    return format + ' \u00b7 ' + scope + ' \u00b7 ' + new Date(item.insertedAt).toLocaleString();
+  }
+
+  /**
+   * Rebuilds the text of a history entry from the chats' current content, with the same format,
+   * message selection, include options and truncation strategy.
+   * @param {Object} item - History entry.
+   * @returns {Promise<string>} The text to insert.
+   */
+  async function buildFromHistory(item) {
+    const chats = await getIndexedChats();
+    const entries = await Promise.all(item.chats.map(async ref => {
+      const meta = chats.find(chat => getChatKey(chat) === ref.key);
+      if (!meta) throw new Error('"' + ref.title + '" no longer exists');
+      const chat = await loadChat(meta);
+      if (!ref.messages) return { chat: chat, messages: null };
+      const wanted = new Set(ref.messages);
+      return { chat: chat, messages: getReferenceMessages(chat, item.include).filter(msg => wanted.has(msg.index)) };
+    }));
+
+    if (item.format === 'link') return entries.map(entry => formatReferenceToken(entry.chat, entry.messages)).join('\n');
+    if (item.format === 'summary') {
+      const summary = await summarizeChat(entries[0].chat);
+      return formatReference(entries[0].chat, [{ role: 'summary', text: summary }]);
+    }
+    const textarea = findChatInput();
+    const budget = Math.max(0, CONFIG.tokenBudget - (textarea ? estimateTokens(textarea.value) : 0));
+    const resolved = entries.map(entry => ({ chat: entry.chat, messages: entry.messages || getReferenceMessages(entry.chat, item.include) }));
+    return formatCombinedReference(applyCombinedTokenBudget(resolved, item.strategy, budget, item.format), item.format);
+  }
+
+  // ----------------------------------------
+  // Export
+  // ----------------------------------------
+  const EXPORT_FORMATS = {
+    'markdown': 'Markdown',
+    'json': 'JSON',
+    'html': 'HTML'
+  };
+
+  function getExportFormat() {
+    const format = loadPreference('exportFormat', CONFIG.exportFormat);
+    return EXPORT_FORMATS[format] ? format : 'markdown';
+  }
+
+  function toIsoDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date.toISOString() : '';
+  }
+
+  /**
+   * Builds a file name such as "deploy-checklist-2025-05-16.md" from the chat's title and last update.
+   * @param {Object} chat - The exported chat.
+   * @param {string} extension - File extension without the dot.
+   * @returns {string} A file name safe on common file systems.
+   */
+  function getExportFileName(chat, extension) {
+    const slug = (chat.chatTitle || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 60).replace(/-+$/, '');
+    const date = (toIsoDate(getChatTimestamp(chat)) || new Date().toISOString()).slice(0, 10);
+    return (slug || 'conversation') + '-' + date + '.' + extension;
+  }
+
+  /**
+   * Normalizes a chat for export, independent of how TypingMind stored its messages.
+   * @param {Object} chat - The full chat.
+   * @param {Array<Object>} [messages] - Entries from getReferenceMessages; defaults to the whole chat.
+   * @returns {Object} Plain metadata plus { index, role, content } messages; index is the 1-based
+   *          position in the stored chat, or null for the chat's own system prompt.
+   */
+  function normalizeChatForExport(chat, messages) {
+    return {
+      id: chat.id || chat.chatID || null,
+      title: chat.chatTitle || 'Untitled Conversation',
+      model: chat.model || null,
+      createdAt: toIsoDate(chat.createdAt) || null,
+      updatedAt: toIsoDate(chat.updatedAt) || null,
+      tags: getChatTags(chat),
+      exportedAt: new Date().toISOString(),
+      messages: (messages || getReferenceMessages(chat)).map(msg => ({
+        index: msg.index >= 0 ? msg.index + 1 : null,
+        role: msg.role,
+        content: msg.text
+      }))
+    };
+  }
+
+  function exportAsMarkdown(data) {
+    // JSON string syntax is valid YAML, so titles with quotes or colons survive the front matter
+    const frontMatter = [
+      '---',
+      'title: ' + JSON.stringify(data.title),
+      'id: ' + JSON.stringify(data.id),
+      'model: ' + JSON.stringify(data.model),
+      'created: ' + JSON.stringify(data.createdAt),
+      'updated: ' + JSON.stringify(data.updatedAt),
+      'messages: ' + data.messages.length,
+      'tags: ' + JSON.stringify(data.tags),
+      'exported: ' + JSON.stringify(data.exportedAt),
+      'source: TypingMind',
+      '---'
+    ].join('\n');
+    const body = data.messages.map(msg => '## ' + (ROLE_LABELS[msg.role] || msg.role) + '\n\n' + msg.content).join('\n\n');
+    return frontMatter + '\n\n# ' + data.title + '\n\n' + body + '\n';
+  }
+
+  function exportAsHtml(data) {
+    const meta = [['Model', data.model], ['Created', data.createdAt && new Date(data.createdAt).toLocaleString()],
+      ['Updated', data.updatedAt && new Date(data.updatedAt).toLocaleString()], ['Tags', data.tags.join(', ')]]
+      .filter(([, value]) => value)
+      .map(([label, value]) => '<dt>' + label + '</dt><dd>' + escapeHtml(String(value)) + '</dd>').join('');
+    const messages = data.messages.map(msg =>
+      '<section class="message ' + escapeHtml(msg.role) + '"><h2>' + escapeHtml(ROLE_LABELS[msg.role] || msg.role) + '</h2>' +
+      '<div class="content">' + escapeHtml(msg.content) + '</div></section>').join('\n');
+    return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+      '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+      '<meta name="generator" content="TypingMind Conversation Reference ' + CONFIG.version + '">\n' +
+      '<title>' + escapeHtml(data.title) + '</title>\n<style>\n' +
+      'body { font: 15px/1.6 system-ui, sans-serif; max-width: 820px; margin: 2rem auto; padding: 0 1rem; color: #1a202c; background: #fff; }\n' +
+      'dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; color: #4a5568; font-size: 13px; }\n' +
+      'dd { margin: 0; }\n' +
+      '.message { border-top: 1px solid #e2e8f0; padding: 0.5rem 0; }\n' +
+      '.message h2 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.05em; color: #718096; margin: 0.5rem 0; }\n' +
+      '.message.user h2 { color: #2b6cb0; }\n.message.assistant h2 { color: #2f855a; }\n' +
+      '.content { white-space: pre-wrap; word-break: break-word; }\n' +
+      '@media (prefers-color-scheme: dark) { body { color: #f3f4f6; background: #111827; } .message { border-color: #374151; } dl, .message h2 { color: #9ca3af; } }\n' +
+      '</style>\n</head>\n<body>\n<h1>' + escapeHtml(data.title) + '</h1>\n<dl>' + meta + '</dl>\n' + messages +
+      '\n<footer><p><small>Exported ' + escapeHtml(new Date(data.exportedAt).toLocaleString()) + '</small></p></footer>\n</body>\n</html>\n';
+  }
+
+  /**
+   * Renders a chat as file contents in one of the EXPORT_FORMATS.
+   * @param {Object} chat - The full chat.
+   * @param {?Array<Object>} messages - Entries from getReferenceMessages, or null for the whole chat.
+   * @param {string} format - Key of EXPORT_FORMATS.
+   * @returns {{fileName: string, content: string, mimeType: string}} The file to download.
+   */
+  function buildExport(chat, messages, format) {
+    const data = normalizeChatForExport(chat, messages);
+    if (format === 'json') {
+      return { fileName: getExportFileName(chat, 'json'), content: JSON.stringify(data, null, 2), mimeType: 'application/json' };
+    }
+    if (format === 'html') {
+      return { fileName: getExportFileName(chat, 'html'), content: exportAsHtml(data), mimeType: 'text/html' };
+    }
+    return { fileName: getExportFileName(chat, 'md'), content: exportAsMarkdown(data), mimeType: 'text/markdown' };
+  }
+
+  function downloadFile(file) {
+    const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType + ';charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.fileName;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser time to start the download before the URL is released
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Downloads one file per chat. Downloads are spaced out a little, since browsers may drop
+   * several downloads started in the same tick.
+   * @param {Array<{chat: Object, messages: ?Array<Object>}>} entries - Full chats to export.
+   * @param {string} [format] - Key of EXPORT_FORMATS; defaults to the saved choice.
+   * @returns {Promise<number>} Number of files downloaded.
+   */
+  async function exportChats(entries, format) {
+    format = format || getExportFormat();
+    for (let i = 0; i < entries.length; i++) {
+      if (i > 0) await new Promise(resolve => setTimeout(resolve, 250));
+      const file = buildExport(entries[i].chat, entries[i].messages, format);
+      log("Exporting", file.fileName);
+      downloadFile(file);
+    }
+    return entries.length;
+  }
+
+  function createExportFormatSelect() {
+    const select = createOptionSelect('tm-reference-export-format', EXPORT_FORMATS, getExportFormat());
+    select.title = 'Export format';
+    select.setAttribute('aria-label', 'Export format');
+    select.addEventListener('change', () => savePreference('exportFormat', select.value));
+    return select;
+  }
+
+  // ----------------------------------------
+  // Theme & Styles
+  // ----------------------------------------
+  // All extension UI lives under .tm-ref-root, whose data-theme attribute selects the variable set.
+  const STYLE_VARIABLES = {
+    light: {
+      '--tm-ref-bg': '#ffffff',
+      '--tm-ref-fg': '#1a202c',
+      '--tm-ref-muted': '#4a5568',
+      '--tm-ref-subtle': '#718096',
+      '--tm-ref-border': '#e2e8f0',
+      '--tm-ref-control-border': '#cbd5e0',
+      '--tm-ref-surface': '#f7fafc',
+      '--tm-ref-hover': '#f0f4f8',
+      '--tm-ref-accent': '#3182ce',
+      '--tm-ref-accent-fg': '#ffffff',
+      '--tm-ref-active': '#ebf4ff',
+      '--tm-ref-warning': '#c53030',
+      '--tm-ref-mark': '#fefcbf',
+      '--tm-ref-user': '#2b6cb0',
+      '--tm-ref-assistant': '#2f855a',
+      '--tm-ref-overlay': 'rgba(0, 0, 0, 0.7)',
+      '--tm-ref-radius': '8px',
+      '--tm-ref-font-size': '14px'
+    },
+    dark: {
+      '--tm-ref-bg': '#1f2937',
+      '--tm-ref-fg': '#f3f4f6',
+      '--tm-ref-muted': '#cbd5e0',
+      '--tm-ref-subtle': '#9ca3af',
+      '--tm-ref-border': '#374151',
+      '--tm-ref-control-border': '#4b5563',
+      '--tm-ref-surface': '#111827',
+      '--tm-ref-hover': '#2d3748',
+      '--tm-ref-accent': '#3b82f6',
+      '--tm-ref-accent-fg': '#ffffff',
+      '--tm-ref-active': '#1e3a5f',
+      '--tm-ref-warning': '#fc8181',
+      '--tm-ref-mark': '#744210',
+      '--tm-ref-user': '#90cdf4',
+      '--tm-ref-assistant': '#9ae6b4',
+      '--tm-ref-overlay': 'rgba(0, 0, 0, 0.75)'
+    }
+  };
+
+  const STYLE_RULES = `
+.tm-ref-root { color: var(--tm-ref-fg); font-size: var(--tm-ref-font-size); }
+.tm-ref-root [hidden] { display: none !important; }
+.tm-ref-root mark { background: var(--tm-ref-mark); color: inherit; border-radius: 2px; }
+.tm-ref-overlay { position: fixed; inset: 0; background: var(--tm-ref-overlay); z-index: 10000; display: flex; justify-content: center; align-items: center; }
+.tm-ref-dialog { background: var(--tm-ref-bg); padding: 20px; border-radius: var(--tm-ref-radius); width: 600px; max-width: calc(100vw - 32px); height: 600px; max-height: calc(100vh - 32px); display: grid; grid-template-rows: 1fr; overflow: hidden; box-sizing: border-box; }
+.tm-ref-dialog-wide { width: 1000px; height: 680px; }
+.tm-ref-view { display: flex; flex-direction: column; gap: 12px; min-height: 0; height: 100%; }
+.tm-ref-title { margin: 0; font-size: 18px; color: var(--tm-ref-fg); }
+.tm-ref-subtitle { margin-top: 4px; font-size: 13px; color: var(--tm-ref-muted); overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.tm-ref-row { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; font-size: 13px; }
+.tm-ref-spacer { margin-left: auto; }
+.tm-ref-muted { color: var(--tm-ref-muted); }
+.tm-ref-warning { color: var(--tm-ref-warning); }
+.tm-ref-input, .tm-ref-select { padding: 4px 6px; border: 1px solid var(--tm-ref-control-border); border-radius: 6px; font-size: 13px; background: var(--tm-ref-bg); color: var(--tm-ref-fg); }
+.tm-ref-input-number { width: 64px; }
+.tm-ref-search { flex: 1; min-width: 0; padding: 8px 12px; font-size: 14px; }
+.tm-ref-btn { padding: 4px 10px; border-radius: 6px; border: 1px solid var(--tm-ref-control-border); background: var(--tm-ref-surface); color: var(--tm-ref-fg); cursor: pointer; font-size: 13px; white-space: nowrap; }
+.tm-ref-btn:hover:not(:disabled) { background: var(--tm-ref-hover); }
+.tm-ref-btn:disabled { opacity: 0.5; cursor: default; }
+.tm-ref-btn-large { padding: 8px 16px; font-size: 14px; }
+.tm-ref-btn-primary { background: var(--tm-ref-accent); border-color: var(--tm-ref-accent); color: var(--tm-ref-accent-fg); }
+.tm-ref-btn-primary:hover:not(:disabled) { background: var(--tm-ref-accent); filter: brightness(1.1); }
+.tm-ref-btn-icon { width: 24px; height: 24px; padding: 0; }
+.tm-ref-btn-small { padding: 2px 8px; font-size: 12px; }
+.tm-ref-chip { padding: 2px 10px; border-radius: 999px; font-size: 12px; }
+.tm-ref-chip[aria-pressed="true"] { background: var(--tm-ref-accent); border-color: var(--tm-ref-accent); color: var(--tm-ref-accent-fg); }
+.tm-ref-list { flex: 1; min-height: 0; overflow-y: auto; border-top: 1px solid var(--tm-ref-border); border-bottom: 1px solid var(--tm-ref-border); padding: 0; margin: 0; }
+.tm-ref-list:focus-visible { outline: 2px solid var(--tm-ref-accent); }
+.tm-ref-empty { text-align: center; padding: 20px; color: var(--tm-ref-subtle); }
+.tm-ref-panel { display: flex; flex-direction: column; gap: 8px; flex-shrink: 0; font-size: 13px; padding: 8px; border: 1px solid var(--tm-ref-border); border-radius: 6px; }
+.tm-ref-basket { max-height: 160px; overflow-y: auto; }
+.tm-ref-quick { max-height: 30vh; overflow-y: auto; }
+.tm-ref-quick-title { margin: 0; font-size: 12px; font-weight: 600; text-transform: uppercase; color: var(--tm-ref-subtle); }
+.tm-ref-quick-list { list-style: none; margin: 0; padding: 0; }
+.tm-ref-quick-item { display: flex; gap: 6px; align-items: center; padding: 4px 0; }
+.tm-ref-quick-item + .tm-ref-quick-item { border-top: 1px solid var(--tm-ref-border); }
+.tm-ref-quick-item .tm-ref-row-title { font-size: 14px; }
+.tm-ref-split { flex: 1; min-height: 0; display: flex; gap: 12px; }
+.tm-ref-split > .tm-ref-list { flex: 1 1 45%; }
+.tm-ref-preview { flex: 1 1 55%; min-width: 0; min-height: 0; display: flex; flex-direction: column; gap: 8px; font-size: 13px; }
+.tm-ref-preview-title { font-size: 16px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.tm-ref-preview-messages { flex: 1; min-height: 0; overflow-y: auto; padding: 8px; border: 1px solid var(--tm-ref-border); border-radius: 6px; }
+.tm-ref-preview-message + .tm-ref-preview-message { margin-top: 10px; padding-top: 10px; border-top: 1px solid var(--tm-ref-border); }
+.tm-ref-preview-insert summary { cursor: pointer; color: var(--tm-ref-muted); }
+.tm-ref-preview-text { max-height: 160px; overflow: auto; margin: 6px 0 0; white-space: pre-wrap; word-break: break-word; }
+.tm-ref-root .tm-ref-redacted { background: var(--tm-ref-warning); color: var(--tm-ref-bg); cursor: help; }
+.tm-ref-markdown { line-height: 1.5; word-break: break-word; }
+.tm-ref-markdown p, .tm-ref-markdown ul, .tm-ref-markdown ol, .tm-ref-markdown blockquote, .tm-ref-markdown pre { margin: 0 0 8px; }
+.tm-ref-markdown ul, .tm-ref-markdown ol { padding-left: 20px; }
+.tm-ref-markdown h1, .tm-ref-markdown h2, .tm-ref-markdown h3, .tm-ref-markdown h4, .tm-ref-markdown h5, .tm-ref-markdown h6 { margin: 0 0 6px; font-size: 14px; }
+.tm-ref-markdown blockquote { padding-left: 8px; border-left: 3px solid var(--tm-ref-border); color: var(--tm-ref-muted); }
+.tm-ref-markdown a { color: var(--tm-ref-accent); }
+.tm-ref-markdown code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; padding: 0 3px; border-radius: 3px; background: var(--tm-ref-surface); }
+.tm-ref-markdown pre, .tm-ref-preview-text { padding: 8px; overflow-x: auto; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; background: var(--tm-ref-surface); border: 1px solid var(--tm-ref-border); border-radius: 6px; }
+.tm-ref-markdown pre code { padding: 0; background: none; }
+@media (max-width: 760px) {
+  .tm-ref-split { flex-direction: column; }
+  .tm-ref-preview { flex: 0 0 45%; }
+}
+.tm-ref-basket-item { display: flex; gap: 6px; align-items: center; }
+.tm-ref-ellipsis { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.tm-ref-virtual-spacer { position: relative; }
+.tm-ref-virtual-row { position: absolute; left: 0; right: 0; }
+.tm-reference-chat-item { height: 100%; box-sizing: border-box; overflow: hidden; padding: 12px; border-bottom: 1px solid var(--tm-ref-border); cursor: pointer; transition: background-color 0.2s; display: flex; gap: 10px; align-items: flex-start; }
+.tm-reference-chat-item:hover { background: var(--tm-ref-hover); }
+.tm-reference-chat-item[aria-selected="true"] { outline: 2px solid var(--tm-ref-accent); outline-offset: -2px; }
+.tm-reference-chat-item > input { margin-top: 4px; }
+.tm-ref-row-body { flex: 1; min-width: 0; }
+.tm-ref-row-head { display: flex; justify-content: space-between; align-items: center; }
+.tm-ref-row-title { font-size: 15px; margin-right: 10px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.tm-ref-badge { background: var(--tm-ref-border); padding: 2px 6px; border-radius: 4px; font-size: 12px; white-space: nowrap; }
+.tm-ref-row-meta { margin-top: 4px; font-size: 13px; color: var(--tm-ref-muted); display: flex; justify-content: space-between; }
+.tm-ref-row-model { color: var(--tm-ref-subtle); font-style: italic; max-width: 150px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.tm-reference-snippet { margin-top: 6px; font-size: 12px; color: var(--tm-ref-muted); line-height: 1.4; overflow: hidden; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical; }
+.tm-reference-row-actions { margin-top: 6px; display: flex; gap: 6px; }
+.tm-reference-message-item { display: flex; gap: 10px; padding: 10px 12px; border-bottom: 1px solid var(--tm-ref-border); cursor: pointer; }
+.tm-reference-message-item > input { margin-top: 3px; }
+.tm-ref-role { font-size: 12px; font-weight: 600; }
+.tm-ref-role-user { color: var(--tm-ref-user); }
+.tm-ref-role-assistant { color: var(--tm-ref-assistant); }
+.tm-ref-role-system, .tm-ref-role-tool { color: var(--tm-ref-subtle); }
+.tm-ref-extra-tag { margin-left: 6px; font-weight: normal; font-size: 11px; padding: 0 6px; border-radius: 999px; background: var(--tm-ref-active); color: var(--tm-ref-fg); }
+.tm-ref-extra-tag.tm-ref-redacted-tag { background: var(--tm-ref-warning); color: var(--tm-ref-bg); cursor: help; }
+.tm-ref-toggle { display: inline-flex; gap: 4px; align-items: center; cursor: pointer; }
+.tm-ref-message-text { font-size: 13px; color: var(--tm-ref-fg); white-space: pre-wrap; word-break: break-word; }
+.tm-reference-message-item.tm-ref-extra .tm-ref-message-text { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; }
+.tm-ref-footer { display: flex; justify-content: space-between; align-items: center; gap: 8px; }
+.tm-ref-settings { padding: 4px 2px; }
+.tm-ref-settings fieldset { border: none; margin: 0 0 12px; padding: 0; display: flex; flex-direction: column; gap: 8px; }
+.tm-ref-settings legend { font-weight: 600; padding: 8px 0 4px; }
+.tm-ref-setting:not(.tm-ref-toggle) { display: grid; grid-template-columns: 180px 1fr; gap: 8px; align-items: center; font-size: 13px; }
+.tm-ref-setting textarea { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; resize: vertical; }
+.tm-ref-floating { position: fixed; right: 24px; bottom: 120px; z-index: 9998; background: var(--tm-ref-bg); color: var(--tm-ref-fg); border: 1px solid var(--tm-ref-border); border-radius: var(--tm-ref-radius); box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2); }
+.tm-ref-floating #reference-chat-button { display: inline-flex; align-items: center; justify-content: center; width: 40px; height: 40px; padding: 0; color: inherit; background: none; border: none; cursor: pointer; }
+#tm-reference-chat-button-container { position: relative; }
+.tm-ref-related-badge { position: absolute; top: -4px; right: -4px; min-width: 16px; height: 16px; padding: 0 4px; box-sizing: border-box; border-radius: 8px; background: #3182ce; color: #ffffff; font-size: 10px; line-height: 16px; text-align: center; pointer-events: none; }
+.tm-ref-toast { position: fixed; top: 16px; left: 50%; transform: translateX(-50%); z-index: 10001; display: flex; gap: 10px; align-items: center; max-width: calc(100vw - 32px); padding: 8px 12px; box-sizing: border-box; background: var(--tm-ref-bg); border: 1px solid var(--tm-ref-border); border-radius: var(--tm-ref-radius); box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2); }
+.tm-ref-popover { position: fixed; z-index: 10000; width: 360px; max-height: 280px; overflow-y: auto; background: var(--tm-ref-bg); border: 1px solid var(--tm-ref-control-border); border-radius: var(--tm-ref-radius); box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2); }
+.tm-reference-inline-item { padding: 6px 12px; cursor: pointer; }
+.tm-reference-inline-item[aria-selected="true"] { background: var(--tm-ref-active); }
+.tm-ref-inline-title { font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.tm-ref-inline-snippet { font-size: 12px; color: var(--tm-ref-muted); overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.tm-ref-sr-only { position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0; }
+`;
+
+  function buildVariableBlock(selector, variables) {
+    const declarations = Object.keys(variables).map(name => '  ' + name + ': ' + variables[name] + ';').join('\n');
+    return selector + ' {\n' + declarations + '\n}\n';
+  }
+
+  /**
+   * Adds (or refreshes) the extension stylesheet: theme variables, component rules, then
+   * user overrides from CONFIG.themeVariables and CONFIG.customCss so they win.
+   */
+  function injectStyles() {
+    let styleEl = document.getElementById('tm-reference-styles');
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = 'tm-reference-styles';
+      document.head.appendChild(styleEl);
+    }
+    const overrides = CONFIG.themeVariables || {};
+    const darkVariables = Object.assign({}, STYLE_VARIABLES.dark, overrides.dark || {});
+    styleEl.textContent =
+      buildVariableBlock('.tm-ref-root', Object.assign({}, STYLE_VARIABLES.light, overrides.light || {})) +
+      buildVariableBlock('.tm-ref-root[data-theme="dark"]', darkVariables) +
+      STYLE_RULES + (CONFIG.customCss || '');
+  }
+
+  /**
+   * Reports whether TypingMind is currently in dark mode (Tailwind's `dark` class on <html> or <body>).
+   * @returns {boolean} True in dark mode.
+   */
+  function isDarkMode() {
+    return document.documentElement.classList.contains('dark') || (!!document.body && document.body.classList.contains('dark'));
+  }
+
+  function applyTheme() {
+    const theme = isDarkMode() ? 'dark' : 'light';
+    document.querySelectorAll('.tm-ref-root').forEach(root => root.setAttribute('data-theme', theme));
+  }
+
+  /**
+   * Marks an element as extension UI so it gets the scoped styles and follows the theme.
+   * Starts watching for theme changes if nothing is being watched yet.
+   * @param {HTMLElement} element - Top-level element of a modal or popover.
+   */
+  function registerThemedRoot(element) {
+    injectStyles();
+    element.classList.add('tm-ref-root');
+    element.setAttribute('data-theme', isDarkMode() ? 'dark' : 'light');
+    themedRoots.add(element);
+    if (!themeObserver) {
+      themeObserver = new MutationObserver(applyTheme);
+      themeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+      if (document.body) themeObserver.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+    }
+  }
+
+  /**
+   * Removes an element registered with registerThemedRoot, and stops watching the theme once
+   * no extension UI is left on the page.
+   * @param {HTMLElement} element - Element to remove.
+   */
+  function removeThemedRoot(element) {
+    element.remove();
+    themedRoots.delete(element);
+    if (themeObserver && !themedRoots.size) {
+      themeObserver.disconnect();
+      themeObserver = null;
+    }
+  }
+
+  function createButton(text, className) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'tm-ref-btn' + (className ? ' ' + className : '');
+    button.textContent = text;
+    return button;
+  }
+
+  /**
+   * Creates an element holding plain text.
+   * @param {string} tagName - Element to create.
+   * @param {string} className - Class names, may be empty.
+   * @param {string} text - Text content; never parsed as HTML.
+   * @returns {HTMLElement} The element.
+   */
+  function createTextElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  // ----------------------------------------
+  // Page Integration
+  // ----------------------------------------
+  /**
+   * Checks whether an element belongs to the extension's own UI (modal, popover, floating button).
+   * @param {Element} element - Element to check.
+   * @returns {boolean} True for extension elements.
+   */
+  function isOwnElement(element) {
+    return !!element.closest('.tm-ref-root, #tm-reference-chat-button-container');
+  }
+
+  // What marks a textarea as a chat box when TypingMind's own ids are missing: a chat-input id, or a
+  // placeholder / label like "Type a message" or "Ask anything" (not "System message" or "Description")
+  const CHAT_INPUT_ID_HINT = /chat-?input|message-?input|prompt-?input/i;
+  const CHAT_INPUT_LABEL_HINT = /^\s*(type|send|enter|write|ask|chat|message)\b/i;
+
+  /**
+   * Checks whether a textarea identifies itself as a chat box.
+   * @param {HTMLTextAreaElement} textarea - Textarea to check.
+   * @returns {boolean} True if its id or placeholder/label says it's for chat messages.
+   */
+  function looksLikeChatInput(textarea) {
+    if (isOwnElement(textarea)) return false;
+    return [textarea.id, textarea.getAttribute('data-element-id')].some(value => value && CHAT_INPUT_ID_HINT.test(value)) ||
+      [textarea.getAttribute('placeholder'), textarea.getAttribute('aria-label')].some(value => value && CHAT_INPUT_LABEL_HINT.test(value));
+  }
+
+  /**
+   * Ways of finding the chat input, tried in order. None of them settles for "any textarea",
+   * so a reference can't end up in an unrelated field.
+   */
+  const CHAT_INPUT_STRATEGIES = [
+    {
+      name: 'textbox-id',
+      description: 'textarea#chat-input-textbox',
+      find: () => document.querySelector('textarea#chat-input-textbox')
+    },
+    {
+      name: 'textbox-element-id',
+      description: 'textarea[data-element-id="chat-input-textbox"]',
+      find: () => document.querySelector('textarea[data-element-id="chat-input-textbox"]')
+    },
+    {
+      name: 'send-button-form',
+      description: 'textarea in the form holding the send button',
+      find: () => {
+        const sendButton = findSendButton();
+        const form = sendButton && sendButton.closest('form');
+        if (!form) return null;
+        const textareas = Array.from(form.querySelectorAll('textarea')).filter(element => !isOwnElement(element));
+        return textareas.find(looksLikeChatInput) || (textareas.length === 1 ? textareas[0] : null);
+      }
+    },
+    {
+      name: 'only-textarea',
+      description: 'the only textarea on a page with a send button',
+      find: () => {
+        if (!findSendButton()) return null;
+        const textareas = Array.from(document.querySelectorAll('textarea')).filter(element => !isOwnElement(element));
+        return textareas.length === 1 ? textareas[0] : null;
+      }
+    }
+  ];
+
+  /**
+   * Places the button can go, tried in order. Each one finds the element the button is prepended to.
+   */
+  const ACTION_BAR_STRATEGIES = [
+    {
+      name: 'actions-left-group',
+      description: '[data-element-id="chat-input-actions"] .flex.items-center.justify-start',
+      find: () => document.querySelector('[data-element-id="chat-input-actions"] .flex.items-center.justify-start')
+    },
+    {
+      name: 'actions-bar',
+      description: '[data-element-id="chat-input-actions"]',
+      find: () => document.querySelector('[data-element-id="chat-input-actions"]')
+    },
+    {
+      name: 'send-button-row',
+      description: 'parent of the send button',
+      find: () => {
+        const sendButton = findSendButton();
+        return sendButton && !isOwnElement(sendButton) ? sendButton.parentElement : null;
+      }
+    },
+    {
+      name: 'input-form-toolbar',
+      description: '[role="toolbar"] in the chat input\'s form',
+      find: () => {
+        const textarea = findChatInput();
+        const form = textarea && textarea.closest('form');
+        return form ? form.querySelector('[role="toolbar"]') : null;
+      }
+    }
+  ];
+
+  /**
+   * Runs strategies in order and returns the first match.
+   * @param {Array<Object>} strategies - CHAT_INPUT_STRATEGIES or ACTION_BAR_STRATEGIES.
+   * @returns {{name: string, element: HTMLElement}|null} The matching strategy and element.
+   */
+  function findFirstMatch(strategies) {
+    for (const strategy of strategies) {
+      try {
+        const element = strategy.find();
+        if (element) return { name: strategy.name, element: element };
+      } catch (error) {
+        log(`Strategy ${strategy.name} failed:`, error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Finds the chat input textarea.
+   * @returns {HTMLTextAreaElement|null} The textarea, or null if not found.
+   */
+  function findChatInput() {
+    const match = findFirstMatch(CHAT_INPUT_STRATEGIES);
+    return match ? match.element : null;
+  }
+
+  /**
+   * Decides where the button goes. Falls back to floating only when no action bar strategy matches
+   * but a chat input is present, so it never shows on plugin or settings pages.
+   * @returns {{name: string, element: HTMLElement|null}|null} The placement (element is null when floating), or null when this isn't a chat page.
+   */
+  function findButtonPlacement() {
+    const match = findFirstMatch(ACTION_BAR_STRATEGIES);
+    if (match) return match;
+    if (CONFIG.floatingButton && findChatInput()) return { name: 'floating', element: null };
+    return null;
+  }
+
+  /**
+   * Returns the fixed-position container used when the button can't go into the action bar, creating it if needed.
+   * @returns {HTMLElement} The container.
+   */
+  function getFloatingContainer() {
+    let container = document.getElementById('tm-reference-floating');
+    if (!container) {
+      container = document.createElement('div');
+      container.id = 'tm-reference-floating';
+      container.className = 'tm-ref-floating';
+      registerThemedRoot(container);
+      document.body.appendChild(container);
+    }
+    return container;
+  }
+
+  function removeFloatingContainer() {
+    const container = document.getElementById('tm-reference-floating');
+    if (container) removeThemedRoot(container);
+  }
+
+  /**
+   * Reports which chat input and action bar strategies match the current page.
+   * Run window.convoRef.diagnose() in the console when the button is missing or inserts go astray.
+   * @returns {Object} The report, also printed as tables.
+   */
+  function diagnose() {
+    const check = strategies => strategies.map(strategy => {
+      let element = null;
+      let error = null;
+      try {
+        element = strategy.find();
+      } catch (err) {
+        error = err.message;
+      }
+      return { strategy: strategy.name, selector: strategy.description, matched: !!element, element: element, error: error };
+    });
+    const placement = findButtonPlacement();
+    const container = document.getElementById('tm-reference-chat-button-container');
+    const report = {
+      version: CONFIG.version,
+      url: location.href,
+      chatInput: check(CHAT_INPUT_STRATEGIES),
+      actionBar: check(ACTION_BAR_STRATEGIES),
+      sendButton: !!findSendButton(),
+      placement: placement ? placement.name : 'none',
+      buttonInjected: !!container,
+      buttonFloating: !!(container && container.parentElement && container.parentElement.id === 'tm-reference-floating')
+    };
+    const rows = list => list.map(({ strategy, selector, matched, error }) => ({ strategy, selector, matched, error }));
+    console.log(`[ConvoRef] v${report.version} placement: ${report.placement}, button injected: ${report.buttonInjected}, send button found: ${report.sendButton}`);
+    console.table(rows(report.chatInput));
+    console.table(rows(report.actionBar));
+    return report;
+  }
+
+  // ----------------------------------------
+  // Button & UI Management
+  // ----------------------------------------
+
+  /**
+   * Adds the reference button to the chat input action bar if present.
+   * Ensures the button is only injected on chat pages and not elsewhere.
+   * Removes the button if the action bar is not present.
+   * @returns {boolean} True if the button was added, false otherwise.
+   */
+  function addReferenceButton() {
+    try {
+      // Remove existing button to avoid duplicates
+      const existingButton = document.getElementById('tm-reference-chat-button-container');
+      if (existingButton) {
+        log("Removing existing button");
+        existingButton.remove();
+      }
+
+      const placement = findButtonPlacement();
+      if (!placement) {
+        log("No action bar or chat input found. Button will not be injected.");
+        removeFloatingContainer();
+        return false;
+      }
+
+      log(`Injecting button (${placement.name})`);
+      if (placement.element) removeFloatingContainer();
+      const target = placement.element || getFloatingContainer();
+
+      // Create button container
+      const refButtonContainer = document.createElement('div');
+      refButtonContainer.id = 'tm-reference-chat-button-container';
+      const button = document.createElement('button');
+      button.id = 'reference-chat-button';
+      button.type = 'button';
+      button.className = 'focus-visible:outline-blue-600 w-9 h-9 rounded-lg justify-center items-center gap-1.5 inline-flex text-slate-900 hover:bg-slate-900/20 active:bg-slate-900/25 disabled:text-neutral-400 dark:text-white dark:hover:bg-white/20 dark:active:bg-white/25 dark:disabled:text-neutral-500';
+      button.setAttribute('aria-label', CONFIG.buttonTooltip);
+      button.setAttribute('aria-haspopup', 'dialog');
+      if (CONFIG.openShortcut) button.setAttribute('aria-keyshortcuts', toAriaKeyShortcuts(CONFIG.openShortcut));
+      button.setAttribute('data-tooltip-content', CONFIG.buttonTooltip);
+      button.setAttribute('data-tooltip-id', 'global');
+      // Static icon markup only; configurable text goes in through setAttribute above
+      button.innerHTML = '<svg class="w-5 h-5" width="18px" height="18px" viewBox="0 0 18 18" xmlns="http://www.w3.org/2000/svg"><g fill="currentColor"><path d="M15,2H3C2.4,2,2,2.4,2,3v10c0,0.6,0.4,1,1,1h2v2.5c0,0.3,0.3,0.5,0.6,0.4l4.6-2.9H15c0.6,0,1-0.4,1-1V3C16,2.4,15.6,2,15,2z" fill="none" stroke="currentColor" stroke-width="1.5"></path><path d="M5.5,6.5h7" fill="none" stroke="currentColor" stroke-linecap="round" stroke-width="1.5"></path><path d="M5.5,9.5h4" fill="none" stroke="currentColor" stroke-linecap="round" stroke-width="1.5"></path></g></svg>';
+      refButtonContainer.appendChild(button);
+
+      target.prepend(refButtonContainer);
+      log("Button added");
+
+      // Add click handler
+      refButtonContainer.addEventListener('click', (event) => {
+        if (event.target.closest('#reference-chat-button')) {
+          handleButtonClick();
+        }
+      });
+
+      buttonAdded = true;
+      updateRelatedBadge();
+      return true;
+    } catch (error) {
+      log("Error adding button:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Removes the reference button from the DOM if it exists.
+   */
+  function removeReferenceButton() {
+    const existingButton = document.getElementById('tm-reference-chat-button-container');
+    if (existingButton) {
+      log("Removing reference button due to chat bar disappearance or navigation.");
+      existingButton.remove();
+      buttonAdded = false;
+    }
+    removeFloatingContainer();
+  }
+
+  /**
+   * Re-injects the button when the spot it belongs in has changed or it was removed,
+   * and removes it when the page no longer shows a chat.
+   */
+  function syncReferenceButton() {
+    const placement = findButtonPlacement();
+    const container = document.getElementById('tm-reference-chat-button-container');
+    if (!placement) {
+      if (container) removeReferenceButton();
+      return;
+    }
+    const target = placement.element || document.getElementById('tm-reference-floating');
+    if (container && target && container.parentElement === target) return;
+    log(`Chat UI changed, injecting button (${placement.name})`);
+    addReferenceButton();
+  }
+
+  // ----------------------------------------
+  // Chat Selection Modal
+  // ----------------------------------------
+  function closeModal() {
+    const modalToRemove = document.getElementById('tm-reference-chat-modal');
+    if (modalToRemove) removeThemedRoot(modalToRemove);
+    if (modalReturnFocus && document.contains(modalReturnFocus)) modalReturnFocus.focus();
+    modalReturnFocus = null;
+  }
+
+  /**
+   * Returns the elements inside a container that can receive keyboard focus, in DOM order.
+   * Elements inside a hidden (display: none) ancestor are skipped.
+   * @param {HTMLElement} container - Element to search.
+   * @returns {Array<HTMLElement>} Focusable elements.
+   */
+  function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll('button, input, select, textarea, a[href], [tabindex]'))
+      .filter(el => !el.disabled && el.tabIndex >= 0)
+      .filter(el => {
+        for (let node = el; node && node !== container; node = node.parentElement) {
+          if (node.hidden) return false;
+        }
+        return true;
+      });
+  }
+
+  /**
+   * Keeps Tab and Shift+Tab cycling inside the container.
+   * @param {KeyboardEvent} event - The keydown event.
+   * @param {HTMLElement} container - The dialog element.
+   */
+  function trapFocus(event, container) {
+    if (event.key !== 'Tab') return;
+    const focusable = getFocusableElements(container);
+    if (!focusable.length) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  function isMacPlatform() {
+    return /Mac|iPhone|iPad/.test(navigator.platform || '');
+  }
+
+  /**
+   * Spells a shortcut string the way aria-keyshortcuts expects, with Mod resolved to the key
+   * matchesShortcut listens for on this platform: Meta on macOS, Control elsewhere.
+   * @param {string} shortcut - Shortcut such as 'Mod+Alt+R'.
+   * @returns {string} E.g. 'Meta+Alt+R' on macOS.
+   */
+  function toAriaKeyShortcuts(shortcut) {
+    return shortcut.split('+').map(part => {
+      const name = part.trim().toLowerCase();
+      if (name === 'mod') return isMacPlatform() ? 'Meta' : 'Control';
+      return name === 'ctrl' ? 'Control' : part.trim();
+    }).join('+');
+  }
+
+  /**
+   * Checks a keydown event against a shortcut string such as 'Mod+Alt+R'.
+   * Letters and digits are matched by physical key so Alt/Option combinations work on macOS.
+   * @param {KeyboardEvent} event - The keydown event.
+   * @param {string} shortcut - Modifiers (Mod, Ctrl, Meta, Alt, Shift) and a key joined with '+'.
+   * @returns {boolean} True if the event matches.
+   */
+  function matchesShortcut(event, shortcut) {
+    if (!shortcut) return false;
+    const parts = shortcut.split('+').map(part => part.trim());
+    const key = parts.pop();
+    const mods = parts.map(part => part.toLowerCase());
+    const isMac = isMacPlatform();
+    const want = {
+      ctrl: mods.includes('ctrl') || (mods.includes('mod') && !isMac),
+      meta: mods.includes('meta') || (mods.includes('mod') && isMac),
+      alt: mods.includes('alt'),
+      shift: mods.includes('shift')
+    };
+    if (event.ctrlKey !== want.ctrl || event.metaKey !== want.meta || event.altKey !== want.alt || event.shiftKey !== want.shift) return false;
+    if (/^[a-z]$/i.test(key)) return event.code === 'Key' + key.toUpperCase();
+    if (/^[0-9]$/.test(key)) return event.code === 'Digit' + key;
+    return (event.key || '').toLowerCase() === key.toLowerCase();
+  }
+
+  function handleGlobalShortcut(event) {
+    if (!matchesShortcut(event, CONFIG.openShortcut)) return;
+    event.preventDefault();
+    if (document.getElementById('tm-reference-chat-modal')) {
+      closeModal();
+    } else {
+      handleButtonClick();
+    }
+  }
+
+  function createOptionSelect(id, options, value) {
+    const select = document.createElement('select');
+    select.id = id;
+    select.className = 'tm-ref-select';
+    Object.keys(options).forEach(key => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = options[key];
+      select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+  }
+
+  /**
+   * Creates a reference format picker. Changing it remembers the choice for next time.
+   * @param {string} id - Element id.
+   * @param {Function} onChange - Called after the choice changed.
+   * @returns {HTMLSelectElement} The select element.
+   */
+  function createTemplateSelect(id, onChange) {
+    const templates = getTemplates();
+    const labels = {};
+    Object.keys(templates).forEach(key => labels[key] = templates[key].label || key);
+    const select = createOptionSelect(id, labels, getSelectedTemplateId());
+    select.title = 'Reference format';
+    select.addEventListener('change', () => {
+      savePreference('template', select.value);
+      onChange();
+    });
+    return select;
+  }
+
+  /**
+   * Creates the "Insert as live link" checkbox. The choice is shared by every insert action.
+   * @returns {HTMLLabelElement} The labeled checkbox.
+   */
+  function createLinkModeToggle() {
+    const label = document.createElement('label');
+    label.className = 'tm-ref-toggle tm-ref-muted';
+    label.title = 'Insert a short [[ref:...]] placeholder that is expanded to the chat\'s latest content when you send';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'tm-reference-link-mode';
+    checkbox.checked = isLinkMode();
+    checkbox.addEventListener('change', () => {
+      savePreference('linkMode', checkbox.checked);
+      // Keep the list view and message view toggles in step
+      document.querySelectorAll('.tm-reference-link-mode').forEach(other => other.checked = checkbox.checked);
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(CONFIG.linkModeText));
+    return label;
+  }
+
+  function createStrategySelect(id, onChange) {
+    const select = createOptionSelect(id, TRUNCATION_STRATEGIES,
+      TRUNCATION_STRATEGIES[CONFIG.truncationStrategy] ? CONFIG.truncationStrategy : 'head-tail');
+    select.title = 'What to do when over the token budget';
+    select.addEventListener('change', onChange);
+    return select;
+  }
+
+  /**
+   * Returns the positions (within messages) that make up the last n turns.
+   * A turn starts at a user message and runs until the next user message.
+   * @param {Array<Object>} messages - Messages from getReferenceMessages.
+   * @param {number} n - Number of turns to keep.
+   * @returns {Set<number>} Selected positions.
+   */
+  function selectLastTurns(messages, n) {
+    let start = messages.length;
+    let turns = 0;
+    for (let i = messages.length - 1; i >= 0 && turns < n; i--) {
+      start = i;
+      if (messages[i].role === 'user') turns++;
+    }
+    const selected = new Set();
+    for (let i = start; i < messages.length; i++) selected.add(i);
+    return selected;
+  }
+
+  /**
+   * Builds the second modal step, where individual messages of a chat can be ticked for inclusion.
+   * All messages start selected, so inserting straight away references the whole chat.
+   * @param {Object} chat - The chat picked in the list.
+   * @param {Function} onBack - Called when the user returns to the chat list.
+   * @param {Function} onAddToBasket - Called with (chat, messages) to add the selection to the
+   *        multi-chat basket; messages is null when the whole chat is selected.
+   * @returns {HTMLElement} The view element.
+   */
+  function createMessageSelectionView(chat, onBack, onAddToBasket) {
+    const include = getIncludeOptions();
+    const available = {};
+    let messages = getReferenceMessages(chat, include, available);
+    const selected = new Set(messages.map((_, i) => i));
+
+    const view = document.createElement('div');
+    view.className = 'tm-ref-view tm-ref-message-view';
+    view.setAttribute('role', 'region');
+    view.setAttribute('aria-label', CONFIG.selectMessagesTitle);
+
+    const header = document.createElement('div');
+    const heading = document.createElement('h2');
+    heading.className = 'tm-ref-title';
+    heading.textContent = CONFIG.selectMessagesTitle;
+    const subheading = document.createElement('div');
+    subheading.className = 'tm-ref-subtitle';
+    subheading.textContent = chat.chatTitle || 'Untitled Conversation';
+    header.appendChild(heading);
+    header.appendChild(subheading);
+
+    // Shortcut controls
+    const shortcuts = document.createElement('div');
+    shortcuts.className = 'tm-ref-row';
+    shortcuts.innerHTML = '<button type="button" class="tm-ref-btn" data-action="all">All</button>' +
+      '<button type="button" class="tm-ref-btn" data-action="none">None</button>' +
+      '<span>Last</span><input type="number" class="tm-ref-input tm-ref-input-number" data-field="turns" min="1" aria-label="Number of turns"><button type="button" class="tm-ref-btn" data-action="turns">turns</button>' +
+      '<span>Messages</span><input type="number" class="tm-ref-input tm-ref-input-number" data-field="from" min="1" value="1" aria-label="First message">&ndash;<input type="number" class="tm-ref-input tm-ref-input-number" data-field="to" min="1" aria-label="Last message"><button type="button" class="tm-ref-btn" data-action="range">Select range</button>';
+    shortcuts.querySelector('[data-field="turns"]').value = CONFIG.defaultLastTurns;
+    shortcuts.querySelector('[data-field="to"]').value = messages.length;
+
+    // Opt-in content toggles, labeled with how much of each the chat holds
+    const includeBar = document.createElement('div');
+    includeBar.id = 'tm-reference-include';
+    includeBar.className = 'tm-ref-row';
+    includeBar.setAttribute('role', 'group');
+    includeBar.setAttribute('aria-label', 'Include in reference');
+    includeBar.appendChild(document.createTextNode('Include:'));
+    Object.keys(INCLUDE_OPTIONS).forEach(kind => {
+      if (!available[kind]) return;
+      const toggle = document.createElement('label');
+      toggle.className = 'tm-ref-toggle';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.include = kind;
+      checkbox.checked = include[kind];
+      toggle.appendChild(checkbox);
+      toggle.appendChild(document.createTextNode(INCLUDE_OPTIONS[kind] + ' (' + available[kind] + ')'));
+      includeBar.appendChild(toggle);
+    });
+    includeBar.hidden = !Object.keys(available).length;
+
+    const messageList = document.createElement('div');
+    messageList.id = 'tm-reference-message-list';
+    messageList.setAttribute('role', 'group');
+    messageList.setAttribute('aria-label', 'Messages');
+    messageList.className = 'tm-ref-list';
+
+    function renderMessages() {
+      messageList.textContent = '';
+      messages.forEach((msg, i) => {
+        const row = document.createElement('label');
+        row.className = 'tm-reference-message-item' + (msg.extras.length ? ' tm-ref-extra' : '');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.position = i;
+
+        const body = document.createElement('div');
+        body.className = 'tm-ref-row-body';
+        const role = document.createElement('div');
+        role.className = 'tm-ref-role tm-ref-role-' + msg.role;
+        role.textContent = '#' + (i + 1) + ' ' + (ROLE_LABELS[msg.role] || msg.role);
+        // Tag what each toggle contributed so its effect is visible before inserting
+        msg.extras.forEach(kind => {
+          const tag = document.createElement('span');
+          tag.className = 'tm-ref-extra-tag';
+          tag.textContent = '+ ' + INCLUDE_OPTIONS[kind];
+          role.appendChild(tag);
+        });
+        // And what redaction will mask in it, with the masked text in the tooltip
+        const masked = redactReference(msg.text).items;
+        if (masked.length) {
+          const tag = createTextElement('span', 'tm-ref-extra-tag tm-ref-redacted-tag', describeRedactions(masked) + ' masked');
+          tag.title = masked.map(item => item.label + ': ' + item.original).join('\n');
+          role.appendChild(tag);
+        }
+        const text = document.createElement('div');
+        text.className = 'tm-ref-message-text';
+        text.textContent = msg.text.length > CONFIG.messagePreviewLength ? msg.text.slice(0, CONFIG.messagePreviewLength) + '\u2026' : msg.text;
+        body.appendChild(role);
+        body.appendChild(text);
+
+        row.appendChild(checkbox);
+        row.appendChild(body);
+        messageList.appendChild(row);
+      });
+      const toInput = shortcuts.querySelector('[data-field="to"]');
+      toInput.value = messages.length;
+    }
+    renderMessages();
+
+    // Token estimate and over-budget strategy
+    const budgetBar = document.createElement('div');
+    budgetBar.id = 'tm-reference-budget';
+    budgetBar.setAttribute('aria-live', 'polite');
+    budgetBar.className = 'tm-ref-row tm-ref-muted';
+    const budgetText = document.createElement('span');
+    const strategySelect = createStrategySelect('tm-reference-strategy', () => updateBudget());
+    const redactionText = createTextElement('span', 'tm-ref-warning tm-ref-redaction-summary', '');
+    budgetBar.appendChild(budgetText);
+    budgetBar.appendChild(strategySelect);
+    budgetBar.appendChild(redactionText);
+
+    const footer = document.createElement('div');
+    footer.className = 'tm-ref-footer';
+    const backButton = createButton(CONFIG.backButtonText, 'tm-ref-btn-large');
+    const insertButton = createButton(CONFIG.insertButtonText, 'tm-ref-btn-large tm-ref-btn-primary');
+    insertButton.id = 'tm-reference-insert-button';
+    const basketButton = createButton(CONFIG.addToBasketText, 'tm-ref-btn-large');
+    const templateSelect = createTemplateSelect('tm-reference-template', () => updateBudget());
+    templateSelect.classList.add('tm-ref-spacer');
+    footer.appendChild(backButton);
+    footer.appendChild(basketButton);
+    footer.appendChild(templateSelect);
+    footer.appendChild(createLinkModeToggle());
+    footer.appendChild(insertButton);
+
+    // Tokens already in the prompt are taken out of the budget available to the reference
+    const textarea = findChatInput();
+    const promptTokens = textarea ? estimateTokens(textarea.value) : 0;
+    const referenceBudget = Math.max(0, CONFIG.tokenBudget - promptTokens);
+
+    function getIncludedMessages() {
+      // Keep the original order regardless of the order messages were ticked in
+      const included = messages.filter((_, i) => selected.has(i));
+      return applyTokenBudget(chat, included, strategySelect.value, referenceBudget, templateSelect.value);
+    }
+
+    function updateBudget() {
+      const included = messages.filter((_, i) => selected.has(i));
+      let reference = formatReference(chat, included, templateSelect.value);
+      const rawTokens = estimateTokens(reference);
+      const overBudget = rawTokens > referenceBudget;
+      let text = 'Reference \u2248 ' + rawTokens.toLocaleString() + ' tokens \u00b7 with prompt \u2248 ' +
+        (rawTokens + promptTokens).toLocaleString() + ' / ' + CONFIG.tokenBudget.toLocaleString();
+      if (overBudget && strategySelect.value !== 'none') {
+        reference = formatReference(chat, getIncludedMessages(), templateSelect.value);
+        text += ' \u00b7 after truncation \u2248 ' + (estimateTokens(reference) + promptTokens).toLocaleString();
+      }
+      budgetText.textContent = text;
+      budgetText.classList.toggle('tm-ref-warning', overBudget);
+      strategySelect.hidden = !overBudget;
+      const masked = selected.size ? redactReference(reference).items : [];
+      redactionText.textContent = masked.length ? describeRedactions(masked) + ' will be masked' : '';
+      redactionText.hidden = !masked.length;
+    }
+
+    function syncSelection() {
+      messageList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = selected.has(Number(checkbox.dataset.position));
+      });
+      insertButton.textContent = CONFIG.insertButtonText + ' (' + selected.size + '/' + messages.length + ')';
+      insertButton.disabled = selected.size === 0;
+      basketButton.disabled = selected.size === 0;
+      updateBudget();
+    }
+
+    function selectOnly(positions) {
+      selected.clear();
+      positions.forEach(pos => selected.add(pos));
+      syncSelection();
+    }
+
+    includeBar.addEventListener('change', (event) => {
+      const kind = event.target.dataset.include;
+      if (!kind) return;
+      include[kind] = event.target.checked;
+      savePreference('include', include);
+
+      // Keep the current selection across the rebuild; newly added entries start selected
+      const previous = messages;
+      const selectedKeys = new Set(previous.filter((_, i) => selected.has(i)).map(msg => msg.key));
+      const previousKeys = new Set(previous.map(msg => msg.key));
+      messages = getReferenceMessages(chat, include);
+      selected.clear();
+      messages.forEach((msg, i) => {
+        if (selectedKeys.has(msg.key) || !previousKeys.has(msg.key)) selected.add(i);
+      });
+      renderMessages();
+      syncSelection();
+    });
+
+    messageList.addEventListener('change', (event) => {
+      const position = Number(event.target.dataset.position);
+      if (event.target.checked) selected.add(position);
+      else selected.delete(position);
+      syncSelection();
+    });
+
+    shortcuts.addEventListener('click', (event) => {
+      const action = event.target.dataset && event.target.dataset.action;
+      if (!action) return;
+      if (action === 'all') {
+        selectOnly(messages.map((_, i) => i));
+      } else if (action === 'none') {
+        selectOnly([]);
+      } else if (action === 'turns') {
+        const n = parseInt(shortcuts.querySelector('[data-field="turns"]').value, 10);
+        if (n > 0) selectOnly(selectLastTurns(messages, n));
+      } else if (action === 'range') {
+        const from = parseInt(shortcuts.querySelector('[data-field="from"]').value, 10);
+        const to = parseInt(shortcuts.querySelector('[data-field="to"]').value, 10);
+        if (!(from > 0) || !(to >= from)) return;
+        const positions = [];
+        for (let i = from - 1; i < Math.min(to, messages.length); i++) positions.push(i);
+        selectOnly(positions);
+      }
+    });
+
+    backButton.onclick = onBack;
+    view.addEventListener('keydown', (event) => {
+      if (event.key !== 'Escape') return;
+      // Escape steps back to the chat list instead of closing the whole modal
+      event.stopPropagation();
+      onBack();
+    });
+    basketButton.onclick = () => {
+      if (selected.size === 0) return;
+      // A fully selected chat is stored without a message list so it stays "whole chat"
+      onAddToBasket(chat, selected.size === messages.length ? null : messages.filter((_, i) => selected.has(i)));
+    };
+    insertButton.onclick = () => {
+      if (selected.size === 0) return;
+      log(`Inserting ${selected.size} of ${messages.length} messages from:`, chat.chatTitle || 'Untitled');
+      const chosen = selected.size === messages.length ? null : messages.filter((_, i) => selected.has(i));
+      if (isLinkMode()) {
+        if (insertReference(formatReferenceToken(chat, chosen))) recordReference([{ chat: chat, messages: chosen }], 'link');
+        return;
+      }
+      if (insertReference(formatReference(chat, getIncludedMessages(), templateSelect.value))) {
+        recordReference([{ chat: chat, messages: chosen }], templateSelect.value, strategySelect.value);
+      }
+    };
+
+    syncSelection();
+    view.appendChild(header);
+    view.appendChild(shortcuts);
+    view.appendChild(includeBar);
+    view.appendChild(messageList);
+    view.appendChild(budgetBar);
+    view.appendChild(footer);
+    return view;
+  }
+
+  /**
+   * Builds the filter panel for the chat list. Every change is saved and reported through onChange.
+   * @param {Array<Object>} chats - All chats, used to offer the models that actually occur.
+   * @param {Array<Object>} folders - TypingMind folders, possibly empty.
+   * @param {Object} filters - Filter state, mutated in place.
+   * @param {Function} onChange - Called after any filter changed.
+   * @returns {HTMLElement} The panel element (hidden until toggled).
+   */
+  function createFilterPanel(chats, folders, filters, onChange) {
+    const panel = document.createElement('div');
+    panel.id = 'tm-reference-filters';
+    panel.className = 'tm-ref-panel';
+    panel.hidden = true;
+
+    function changed() {
+      savePreference('filters', filters);
+      onChange();
+    }
+
+    // Model chips, most used models first
+    const modelCounts = {};
+    chats.forEach(chat => modelCounts[chat.model || ''] = (modelCounts[chat.model || ''] || 0) + 1);
+    const models = Object.keys(modelCounts).filter(Boolean).sort((a, b) => modelCounts[b] - modelCounts[a]);
+    if (models.length) {
+      const chips = document.createElement('div');
+      chips.className = 'tm-ref-row';
+      chips.setAttribute('role', 'group');
+      chips.setAttribute('aria-label', 'Models');
+      models.forEach(model => {
+        const chip = createButton(model + ' (' + modelCounts[model] + ')', 'tm-ref-chip tm-reference-model-chip');
+        chip.dataset.model = model;
+        chip.setAttribute('aria-pressed', String(filters.models.includes(model)));
+        chip.onclick = () => {
+          filters.models = filters.models.includes(model) ? filters.models.filter(m => m !== model) : filters.models.concat(model);
+          chip.setAttribute('aria-pressed', String(filters.models.includes(model)));
+          changed();
+        };
+        chips.appendChild(chip);
+      });
+      panel.appendChild(chips);
+    }
+
+    const fields = document.createElement('div');
+    fields.className = 'tm-ref-row';
+    fields.innerHTML = '<span>Updated</span><input type="date" class="tm-ref-input" data-filter="dateFrom" aria-label="Updated from"><span>&ndash;</span><input type="date" class="tm-ref-input" data-filter="dateTo" aria-label="Updated until">' +
+      '<span>Messages</span><input type="number" class="tm-ref-input tm-ref-input-number" min="0" placeholder="min" data-filter="minMessages" aria-label="Minimum messages"><span>&ndash;</span><input type="number" class="tm-ref-input tm-ref-input-number" min="0" placeholder="max" data-filter="maxMessages" aria-label="Maximum messages">';
+    fields.querySelectorAll('input').forEach(input => {
+      input.value = filters[input.dataset.filter];
+      input.addEventListener('change', () => {
+        filters[input.dataset.filter] = input.value;
+        changed();
+      });
+    });
+    panel.appendChild(fields);
+
+    // Folder / tag filter, only when TypingMind has any
+    const groups = { '': 'All folders & tags' };
+    folders.forEach(folder => groups['folder:' + folder.id] = 'Folder: ' + (folder.title || folder.name || folder.id));
+    [...new Set([].concat(...chats.map(getChatTags)))].sort().forEach(tag => groups['tag:' + tag] = 'Tag: ' + tag);
+    if (Object.keys(groups).length > 1) {
+      const groupSelect = createOptionSelect('tm-reference-group-filter', groups, groups[filters.group] ? filters.group : '');
+      groupSelect.addEventListener('change', () => {
+        filters.group = groupSelect.value;
+        changed();
+      });
+      panel.appendChild(groupSelect);
+    }
+
+    const clearButton = createButton('Clear filters', 'tm-ref-btn-small');
+    clearButton.style.alignSelf = 'flex-start';
+    clearButton.onclick = () => {
+      Object.assign(filters, DEFAULT_FILTERS, { sort: filters.sort, models: [] });
+      panel.querySelectorAll('input').forEach(input => input.value = filters[input.dataset.filter]);
+      panel.querySelectorAll('select').forEach(select => select.value = '');
+      panel.querySelectorAll('.tm-reference-model-chip').forEach(chip => chip.setAttribute('aria-pressed', 'false'));
+      changed();
+    };
+    panel.appendChild(clearButton);
+    return panel;
+  }
+
+  /**
+   * Turns a keydown into a shortcut string like 'Mod+Alt+R', using Mod for the platform's main modifier.
+   * @param {KeyboardEvent} event - The keydown event.
+   * @returns {?string} The shortcut, or null for a bare modifier press.
+   */
+  function describeShortcut(event) {
+    if (['Control', 'Meta', 'Alt', 'Shift'].includes(event.key)) return null;
+    const isMac = isMacPlatform();
+    const parts = [];
+    if (isMac ? event.metaKey : event.ctrlKey) parts.push('Mod');
+    if (isMac ? event.ctrlKey : event.metaKey) parts.push(isMac ? 'Ctrl' : 'Meta');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
+    const code = event.code || '';
+    parts.push(/^Key[A-Z]$/.test(code) ? code.slice(3) : /^Digit[0-9]$/.test(code) ? code.slice(5) : event.key);
+    return parts.join('+');
+  }
+
+  /**
+   * Builds the settings step of the modal.
+   * @param {Function} onBack - Returns to the chat list; called with a status message after saving or resetting.
+   * @returns {HTMLElement} The view element.
+   */
+  function createSettingsView(onBack) {
+    const view = document.createElement('div');
+    view.className = 'tm-ref-view';
+    view.setAttribute('role', 'region');
+    view.setAttribute('aria-label', CONFIG.settingsTitle);
+
+    const heading = document.createElement('h2');
+    heading.className = 'tm-ref-title';
+    heading.textContent = CONFIG.settingsTitle;
+    const note = document.createElement('div');
+    note.className = 'tm-ref-subtitle';
+    note.textContent = 'Stored in this browser. Text changes apply the next time this window opens.';
+
+    const form = document.createElement('form');
+    form.id = 'tm-reference-settings';
+    form.className = 'tm-ref-list tm-ref-settings';
+    const inputs = {};
+    const groups = {};
+    SETTINGS_FIELDS.forEach(field => {
+      if (!groups[field.group]) {
+        groups[field.group] = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = field.group;
+        groups[field.group].appendChild(legend);
+        form.appendChild(groups[field.group]);
+      }
+      const label = document.createElement('label');
+      label.className = 'tm-ref-setting' + (field.type === 'boolean' ? ' tm-ref-toggle' : '');
+      let input;
+      if (field.type === 'select') {
+        input = createOptionSelect('tm-reference-setting-' + field.key, field.options(), CONFIG[field.key]);
+      } else if (field.type === 'textarea' || field.type === 'json') {
+        input = document.createElement('textarea');
+        input.className = 'tm-ref-input';
+        input.rows = 4;
+        input.spellcheck = false;
+        if (field.type === 'json') {
+          input.value = Object.keys(CONFIG[field.key] || {}).length ? JSON.stringify(CONFIG[field.key], null, 2) : '';
+          input.placeholder = field.placeholder;
+        } else {
+          input.value = CONFIG[field.key] || '';
+        }
+      } else {
+        input = document.createElement('input');
+        input.type = field.type === 'boolean' ? 'checkbox' : field.type === 'number' ? 'number' : 'text';
+        if (field.type !== 'boolean') input.className = 'tm-ref-input';
+        if (field.type === 'boolean') input.checked = !!CONFIG[field.key];
+        else input.value = CONFIG[field.key];
+        if (field.min !== undefined) input.min = field.min;
+      }
+      input.name = field.key;
+      if (field.type === 'shortcut') {
+        input.placeholder = 'Press a key combination';
+        input.addEventListener('keydown', (event) => {
+          // Record combinations with a modifier; plain keys keep editing the text
+          if (!(event.ctrlKey || event.metaKey || event.altKey)) return;
+          const shortcut = describeShortcut(event);
+          if (!shortcut) return;
+          event.preventDefault();
+          event.stopPropagation();
+          input.value = shortcut;
+        });
+      }
+      const text = document.createElement('span');
+      text.textContent = field.label;
+      if (field.type === 'boolean') {
+        label.appendChild(input);
+        label.appendChild(text);
+      } else {
+        label.appendChild(text);
+        label.appendChild(input);
+      }
+      inputs[field.key] = input;
+      groups[field.group].appendChild(label);
+    });
+
+    const status = document.createElement('div');
+    status.className = 'tm-ref-warning';
+    status.setAttribute('role', 'alert');
+
+    const footer = document.createElement('div');
+    footer.className = 'tm-ref-footer';
+    const backButton = createButton(CONFIG.backButtonText, 'tm-ref-btn-large');
+    const resetButton = createButton('Reset to defaults', 'tm-ref-btn-large tm-ref-spacer');
+    const saveButton = createButton('Save', 'tm-ref-btn-large tm-ref-btn-primary');
+    saveButton.type = 'submit';
+    saveButton.setAttribute('form', form.id);
+    footer.appendChild(backButton);
+    footer.appendChild(resetButton);
+    footer.appendChild(saveButton);
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const values = {};
+      const invalid = [];
+      SETTINGS_FIELDS.forEach(field => {
+        const input = inputs[field.key];
+        if (field.type !== 'json') {
+          values[field.key] = field.type === 'boolean' ? input.checked : field.type === 'number' ? Number(input.value) : input.value.trim();
+          return;
         }
+        try {
+          values[field.key] = input.value.trim() ? JSON.parse(input.value) : {};
+        } catch (error) {
+          invalid.push(field.label + ' (not valid JSON: ' + error.message + ')');
+        }
+      });
+      // Checked once everything is read, since the default format may be one the JSON field adds
+      SETTINGS_FIELDS.forEach(field => {
+        if (!(field.key in values) || isValidSetting(field, values[field.key], values)) return;
+        const problems = field.validate ? field.validate(values[field.key]) : [];
+        invalid.push(field.label + (problems.length ? ' (' + problems.join('; ') + ')' : ''));
       });
+      if (invalid.length) {
+        status.textContent = 'Please check: ' + invalid.join(', ');
+        return;
+      }
+      updateSettings(values);
+      onBack('Settings saved');
+    });
+    resetButton.onclick = () => {
+      if (!confirm('Reset all Conversation Reference settings to their defaults?')) return;
+      resetSettings();
+      onBack('Settings reset to defaults');
+    };
+    backButton.onclick = () => onBack();
+    view.addEventListener('keydown', (event) => {
+      if (event.key !== 'Escape') return;
+      event.stopPropagation();
+      onBack();
+    });
+
+    view.appendChild(heading);
+    view.appendChild(note);
+    view.appendChild(form);
+    view.appendChild(status);
+    view.appendChild(footer);
+    return view;
+  }
+
+  async function handleButtonClick() {
+    log("Reference button clicked");
+    if (document.getElementById('tm-reference-chat-modal')) return;
+    try {
+      const versionBefore = chatIndexVersion;
+      let [chats, folders] = await Promise.all([getIndexedChats(), getFoldersFromIndexedDB()]);
+      // A background refresh may have finished while the folders were read
+      if (chatIndexVersion !== versionBefore) chats = Array.from(chatIndex.values());
+      if (!chats || chats.length === 0) {
+        alert("No previous chats found.");
+        return;
+      }
+      
+      log(`Retrieved ${chats.length} chats`);
+      const filters = loadFilters();
+      
+      // Create modal
+      const modal = document.createElement('div');
+      modal.id = 'tm-reference-chat-modal'; 
+      modal.className = 'tm-ref-overlay';
+      registerThemedRoot(modal);
       
       // Create modal content
       const modalContent = document.createElement('div');
-      modalContent.style.cssText = 'background: white; padding: 20px; border-radius: 8px; width: 600px; height: 600px; display: grid; grid-template-rows: auto auto 1fr auto; gap: 16px; overflow: hidden; color: black;';
+      modalContent.setAttribute('role', 'dialog');
+      modalContent.setAttribute('aria-modal', 'true');
+      modalContent.setAttribute('aria-labelledby', 'tm-reference-modal-title');
+      modalContent.setAttribute('aria-describedby', 'tm-reference-keyboard-hint');
+      
+      // Add keyboard handling: Escape closes, Tab stays inside the dialog
+      modal.tabIndex = -1;
+      modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeModal();
+        else trapFocus(e, modalContent);
+      });
+      
+      // Screen reader announcements (result counts, basket changes)
+      const liveRegion = document.createElement('div');
+      liveRegion.id = 'tm-reference-live-region';
+      liveRegion.setAttribute('role', 'status');
+      liveRegion.setAttribute('aria-live', 'polite');
+      liveRegion.className = 'tm-ref-sr-only';
+      function announce(text) {
+        liveRegion.textContent = text;
+      }
+      const keyboardHint = document.createElement('div');
+      keyboardHint.id = 'tm-reference-keyboard-hint';
+      keyboardHint.className = 'tm-ref-sr-only';
+      keyboardHint.textContent = CONFIG.keyboardHintText;
+      modalContent.className = 'tm-ref-dialog tm-ref-dialog-wide';
+      
+      // The chat list is the first step; picking a chat swaps in the message selection step
+      const listView = document.createElement('div');
+      listView.className = 'tm-ref-view';
+      
+      const header = document.createElement('div');
+      header.className = 'tm-ref-row-head';
+      const modalHeading = createTextElement('h2', 'tm-ref-title', CONFIG.modalTitle);
+      modalHeading.id = 'tm-reference-modal-title';
+      header.appendChild(modalHeading);
+      const settingsButton = createButton(CONFIG.settingsButtonText, 'tm-ref-btn-small');
+      settingsButton.id = 'tm-reference-settings-button';
+      settingsButton.onclick = () => openSettings();
+      header.appendChild(settingsButton);
+      
+      const searchBox = document.createElement('div');
+      searchBox.className = 'tm-ref-row';
+      const searchField = document.createElement('input');
+      searchField.type = 'text';
+      searchField.id = 'tm-reference-search-input';
+      searchField.className = 'tm-ref-input tm-ref-search';
+      searchField.setAttribute('role', 'combobox');
+      searchField.setAttribute('aria-autocomplete', 'list');
+      searchField.setAttribute('aria-expanded', 'true');
+      searchField.setAttribute('aria-controls', 'tm-reference-chat-list');
+      searchField.setAttribute('aria-label', CONFIG.searchPlaceholder);
+      searchField.placeholder = CONFIG.searchPlaceholder;
+      searchBox.appendChild(searchField);
+      
+      // Sort order and filter toggle next to the search input
+      const sortSelect = createOptionSelect('tm-reference-sort', SORT_OPTIONS, SORT_OPTIONS[filters.sort] ? filters.sort : 'newest');
+      sortSelect.setAttribute('aria-label', 'Sort order');
+      sortSelect.addEventListener('change', () => {
+        filters.sort = sortSelect.value;
+        savePreference('filters', filters);
+        runSearch();
+      });
+      const filtersButton = createButton(CONFIG.filtersButtonText);
+      filtersButton.id = 'tm-reference-filters-toggle';
+      filtersButton.setAttribute('aria-controls', 'tm-reference-filters');
+      filtersButton.setAttribute('aria-expanded', 'false');
+      searchBox.appendChild(sortSelect);
+      searchBox.appendChild(filtersButton);
+      
+      const filterPanel = createFilterPanel(chats, folders, filters, () => {
+        updateFiltersButton();
+        runSearch();
+      });
+      function updateFiltersButton() {
+        const active = countActiveFilters(filters);
+        filtersButton.textContent = CONFIG.filtersButtonText + (active ? ' (' + active + ')' : '');
+      }
+      filtersButton.onclick = () => {
+        const open = filterPanel.hidden;
+        filterPanel.hidden = !open;
+        filtersButton.setAttribute('aria-expanded', String(open));
+      };
+      updateFiltersButton();
+      
+      const chatList = document.createElement('div');
+      chatList.id = 'tm-reference-chat-list';
+      chatList.setAttribute('role', 'listbox');
+      chatList.setAttribute('aria-label', 'Conversations');
+      chatList.tabIndex = 0;
+      chatList.className = 'tm-ref-list';
+
+      // Actions on the highlighted conversation. An option can't contain controls, so the row's own
+      // checkbox and buttons are mouse shortcuts hidden from assistive tech, and this toolbar (or
+      // Alt+B / Alt+P / Alt+E) is how keyboard and screen reader users reach them
+      const rowToolbar = document.createElement('div');
+      rowToolbar.id = 'tm-reference-row-toolbar';
+      rowToolbar.className = 'tm-ref-row';
+      rowToolbar.setAttribute('role', 'toolbar');
+      rowToolbar.setAttribute('aria-label', 'Highlighted conversation');
+      rowToolbar.setAttribute('aria-controls', 'tm-reference-chat-list');
+      rowToolbar.hidden = true;
+      const toolbarBasketButton = createButton(CONFIG.addToBasketText, 'tm-ref-btn-small');
+      const toolbarPinButton = createButton('', 'tm-ref-btn-small');
+      const toolbarExportButton = createButton(CONFIG.exportButtonText, 'tm-ref-btn-small');
+      toolbarBasketButton.onclick = () => runRowAction('basket');
+      toolbarPinButton.onclick = () => runRowAction('pin');
+      toolbarExportButton.onclick = () => runRowAction('export');
+      [toolbarBasketButton, toolbarPinButton, toolbarExportButton].forEach(button => rowToolbar.appendChild(button));
+
+      function updateRowToolbar() {
+        const active = currentResults[activeIndex];
+        rowToolbar.hidden = !active;
+        if (!active) return;
+        toolbarBasketButton.setAttribute('aria-pressed', String(findBasketIndex(active.chat) !== -1));
+        setPinButtonState(toolbarPinButton, isPinned(active.chat));
+      }
+
+      // Multi-chat basket: { chat, messages } in the order they will be inserted; messages null means the whole chat
+      const basket = [];
+      const basketBar = document.createElement('div');
+      basketBar.id = 'tm-reference-basket';
+      basketBar.className = 'tm-ref-panel tm-ref-basket';
+      basketBar.hidden = true;
+      const textarea = findChatInput();
+      const promptTokens = textarea ? estimateTokens(textarea.value) : 0;
+      const basketBudget = Math.max(0, CONFIG.tokenBudget - promptTokens);
+      let basketStrategy = null;
+      
+      function findBasketIndex(chat) {
+        return basket.findIndex(entry => getChatKey(entry.chat) === getChatKey(chat));
+      }
+      
+      function addToBasket(chat, messages) {
+        const index = findBasketIndex(chat);
+        if (index === -1) basket.push({ chat: chat, messages: messages });
+        else basket[index].messages = messages;
+        renderBasket();
+        announce('Added "' + (chat.chatTitle || 'Untitled Conversation') + '" to basket, ' + basket.length + ' in basket');
+      }
+      
+      function removeFromBasket(chat) {
+        const index = findBasketIndex(chat);
+        if (index !== -1) basket.splice(index, 1);
+        renderBasket();
+        announce('Removed "' + (chat.chatTitle || 'Untitled Conversation') + '" from basket, ' + basket.length + ' in basket');
+      }
+      
+      function syncBasketCheckboxes() {
+        chatList.querySelectorAll('.tm-reference-chat-select').forEach(checkbox => {
+          const item = checkbox.closest('.tm-reference-chat-item');
+          checkbox.checked = findBasketIndex(item.parentNode._chatData) !== -1;
+          item.setAttribute('aria-checked', String(checkbox.checked));
+        });
+        updateRowToolbar();
+      }
+      
+      function renderBasket() {
+        syncBasketCheckboxes();
+        basketBar.innerHTML = '';
+        basketBar.hidden = !basket.length;
+        if (!basket.length) return;
+        
+        const summary = document.createElement('div');
+        summary.className = 'tm-ref-row';
+        const summaryText = document.createElement('span');
+        const strategySelect = createStrategySelect('tm-reference-basket-strategy', () => {
+          basketStrategy = strategySelect.value;
+          renderBasket();
+        });
+        if (basketStrategy) strategySelect.value = basketStrategy;
+        const templateSelect = createTemplateSelect('tm-reference-basket-template', () => renderBasket());
+        templateSelect.classList.add('tm-ref-spacer');
+        const insertBasketButton = createButton(CONFIG.insertBasketText + ' (' + basket.length + ')', 'tm-ref-btn-primary');
+        insertBasketButton.id = 'tm-reference-basket-insert';
+        
+        const rawTokens = estimateTokens(formatCombinedReference(basket, templateSelect.value));
+        const overBudget = rawTokens > basketBudget;
+        summaryText.textContent = 'Basket: ' + basket.length + (basket.length === 1 ? ' chat' : ' chats') + ' \u00b7 \u2248 ' +
+          rawTokens.toLocaleString() + ' tokens (' + (rawTokens + promptTokens).toLocaleString() + ' / ' + CONFIG.tokenBudget.toLocaleString() + ' with prompt)';
+        summaryText.className = overBudget ? 'tm-ref-warning' : 'tm-ref-muted';
+        strategySelect.hidden = !overBudget;
+        
+        insertBasketButton.onclick = () => {
+          if (isLinkMode()) {
+            if (insertReference(basket.map(entry => formatReferenceToken(entry.chat, entry.messages)).join('\n'))) recordReference(basket, 'link');
+            return;
+          }
+          const strategy = overBudget ? strategySelect.value : 'none';
+          const entries = applyCombinedTokenBudget(basket, strategy, basketBudget, templateSelect.value);
+          log(`Inserting combined reference from ${entries.length} chats`);
+          if (insertReference(formatCombinedReference(entries, templateSelect.value))) recordReference(basket, templateSelect.value, strategy);
+        };
+        
+        summary.appendChild(summaryText);
+        summary.appendChild(strategySelect);
+        summary.appendChild(templateSelect);
+        summary.appendChild(insertBasketButton);
+        basketBar.appendChild(summary);
+        
+        const exportBasketButton = createButton(CONFIG.exportButtonText + ' (' + basket.length + ')', 'tm-ref-btn-small');
+        exportBasketButton.id = 'tm-reference-basket-export';
+        exportBasketButton.onclick = () => {
+          exportChats(basket.slice()).then(count => announce('Exported ' + count + (count === 1 ? ' conversation' : ' conversations')));
+        };
+        summary.appendChild(exportBasketButton);
+        
+        basket.forEach((entry, i) => {
+          const item = document.createElement('div');
+          item.className = 'tm-reference-basket-item tm-ref-basket-item';
+          const label = document.createElement('span');
+          label.className = 'tm-ref-ellipsis';
+          const messageCount = entry.messages ? entry.messages.length : getReferenceMessages(entry.chat).length;
+          label.textContent = (i + 1) + '. ' + (entry.chat.chatTitle || 'Untitled Conversation') + ' (' + messageCount + (entry.messages ? ' selected' : '') + ' messages)';
+          item.appendChild(label);
+          
+          [['\u2191', 'Move up', i > 0, () => basket.splice(i - 1, 0, basket.splice(i, 1)[0])],
+           ['\u2193', 'Move down', i < basket.length - 1, () => basket.splice(i + 1, 0, basket.splice(i, 1)[0])],
+           ['\u00d7', 'Remove', true, () => basket.splice(i, 1)]].forEach(([text, title, enabled, action]) => {
+            const btn = createButton(text, 'tm-ref-btn-icon');
+            btn.title = title;
+            btn.setAttribute('aria-label', title + ': ' + (entry.chat.chatTitle || 'Untitled Conversation'));
+            btn.disabled = !enabled;
+            btn.onclick = () => {
+              action();
+              renderBasket();
+            };
+            item.appendChild(btn);
+          });
+          basketBar.appendChild(item);
+        });
+      }
+      
+      // The chat list is virtualized: only rows in or near the viewport exist in the DOM,
+      // absolutely positioned inside a spacer as tall as the whole list
+      let currentResults = [];
+      let rowHeight = CONFIG.listRowHeight;
+      const renderedRows = new Map();
+      const listSpacer = document.createElement('div');
+      listSpacer.className = 'tm-ref-virtual-spacer';
+      listSpacer.setAttribute('role', 'presentation');
+      
+      function setPinButtonState(button, pinned) {
+        button.textContent = pinned ? CONFIG.unpinText : CONFIG.pinText;
+        button.setAttribute('aria-pressed', String(pinned));
+      }
+      
+      function createChatRow(i) {
+        const { chat, snippet } = currentResults[i];
+        const chatItemContainer = document.createElement('div');
+        chatItemContainer.className = 'tm-ref-virtual-row';
+        chatItemContainer.style.top = (i * rowHeight) + 'px';
+        chatItemContainer.style.height = rowHeight + 'px';
+        chatItemContainer.dataset.index = i;
+        const title = chat.chatTitle || 'Untitled Conversation';
+        const date = chat.updatedAt ? new Date(chat.updatedAt).toLocaleString() : chat.createdAt ? new Date(chat.createdAt).toLocaleString() : 'Unknown date';
+        const model = chat.model || '';
+        const messageCount = getMessageCount(chat);
+        
+        // Built with text APIs: titles and models come from chat data and may contain markup
+        const item = document.createElement('div');
+        item.className = 'tm-reference-chat-item';
+        item.id = 'tm-reference-option-' + i;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', String(i === activeIndex));
+        item.setAttribute('aria-setsize', String(currentResults.length));
+        item.setAttribute('aria-posinset', String(i + 1));
+        // Basket membership; the checkbox below only mirrors it for the mouse, see rowToolbar
+        item.setAttribute('aria-checked', String(findBasketIndex(chat) !== -1));
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'tm-reference-chat-select';
+        checkbox.title = CONFIG.addToBasketText;
+        checkbox.checked = findBasketIndex(chat) !== -1;
+        checkbox.tabIndex = -1;
+        checkbox.setAttribute('aria-hidden', 'true');
+        
+        const body = document.createElement('div');
+        body.className = 'tm-ref-row-body';
+        const head = document.createElement('div');
+        head.className = 'tm-ref-row-head';
+        head.appendChild(createTextElement('strong', 'tm-ref-row-title', title));
+        head.appendChild(createTextElement('span', 'tm-ref-badge', messageCount + ' messages'));
+        const meta = document.createElement('div');
+        meta.className = 'tm-ref-row-meta';
+        meta.appendChild(createTextElement('span', '', date));
+        meta.appendChild(createTextElement('span', 'tm-ref-row-model', model));
+        body.appendChild(head);
+        body.appendChild(meta);
+        if (snippet) {
+          const snippetEl = document.createElement('div');
+          snippetEl.className = 'tm-reference-snippet';
+          setSafeHtml(snippetEl, snippet);
+          body.appendChild(snippetEl);
+        }
+        const actions = document.createElement('div');
+        actions.className = 'tm-reference-row-actions';
+        actions.setAttribute('aria-hidden', 'true');
+        const exportButton = createButton(CONFIG.exportButtonText, 'tm-ref-btn-small');
+        exportButton.dataset.action = 'export';
+        exportButton.tabIndex = -1;
+        actions.appendChild(exportButton);
+        const pinButton = createButton('', 'tm-ref-btn-small');
+        pinButton.dataset.action = 'pin';
+        pinButton.tabIndex = -1;
+        setPinButtonState(pinButton, isPinned(chat));
+        actions.appendChild(pinButton);
+        body.appendChild(actions);
+        item.appendChild(checkbox);
+        item.appendChild(body);
+        chatItemContainer.appendChild(item);
+        
+        // Store chat data
+        chatItemContainer._chatData = chat;
+        return chatItemContainer;
+      }
+      
+      function renderVisibleRows() {
+        const viewport = chatList.clientHeight || rowHeight * 10;
+        const first = Math.max(0, Math.floor(chatList.scrollTop / rowHeight) - CONFIG.listOverscan);
+        const last = Math.min(currentResults.length - 1, Math.ceil((chatList.scrollTop + viewport) / rowHeight) + CONFIG.listOverscan);
+        renderedRows.forEach((row, i) => {
+          if (i >= first && i <= last) return;
+          row.remove();
+          renderedRows.delete(i);
+        });
+        for (let i = first; i <= last; i++) {
+          if (renderedRows.has(i)) continue;
+          // Keep DOM order equal to list order so the rows are read top to bottom
+          let before = null;
+          renderedRows.forEach((row, j) => {
+            if (j > i && (!before || j < Number(before.dataset.index))) before = row;
+          });
+          const row = createChatRow(i);
+          renderedRows.set(i, row);
+          listSpacer.insertBefore(row, before);
+        }
+      }
+      chatList.addEventListener('scroll', renderVisibleRows);
+      chatList.addEventListener('mouseover', (event) => {
+        const row = event.target.closest('.tm-ref-virtual-row');
+        if (row && row._chatData) schedulePreview(row._chatData);
+      });
+      
+      // Function to populate chat list
+      function populateChatList(results) {
+        currentResults = results || [];
+        rowHeight = CONFIG.listRowHeight + (currentResults.some(result => result.snippet) ? 40 : 0);
+        renderedRows.clear();
+        listSpacer.innerHTML = '';
+        chatList.innerHTML = '';
+        chatList.scrollTop = 0;
+        activeIndex = -1;
+        searchInput.removeAttribute('aria-activedescendant');
+        chatList.removeAttribute('aria-activedescendant');
+        updateRowToolbar();
+        if (!currentResults.length) { 
+          chatList.appendChild(createTextElement('p', 'tm-ref-empty', CONFIG.noResultsText));
+          announce(CONFIG.noResultsText);
+          return; 
+        }
+        announce(currentResults.length + (currentResults.length === 1 ? ' conversation' : ' conversations') + ' found');
+        
+        listSpacer.style.height = (currentResults.length * rowHeight) + 'px';
+        chatList.appendChild(listSpacer);
+        renderVisibleRows();
+        setActiveRow(0);
+      }
+      
+      // Keyboard navigation: the highlighted row is tracked with aria-activedescendant,
+      // so focus can stay in the search input while moving through the list
+      let activeIndex = -1;
+      
+      function setActiveRow(index) {
+        if (!currentResults.length) return;
+        const next = Math.max(0, Math.min(currentResults.length - 1, index));
+        activeIndex = next;
+        // Scroll first so the row is rendered before it is referenced
+        const top = next * rowHeight;
+        if (chatList.clientHeight) {
+          if (top < chatList.scrollTop) chatList.scrollTop = top;
+          else if (top + rowHeight > chatList.scrollTop + chatList.clientHeight) chatList.scrollTop = top + rowHeight - chatList.clientHeight;
+        }
+        renderVisibleRows();
+        renderedRows.forEach((row, i) => row.firstChild.setAttribute('aria-selected', String(i === next)));
+        searchInput.setAttribute('aria-activedescendant', 'tm-reference-option-' + next);
+        chatList.setAttribute('aria-activedescendant', 'tm-reference-option-' + next);
+        updateRowToolbar();
+        schedulePreview(currentResults[next].chat);
+      }
+      
+      // Message bodies aren't part of the index; they are read when a chat is actually used
+      function withFullChat(chatData, action) {
+        loadChat(chatData).then(action).catch(error => {
+          log("Error loading chat:", error);
+          alert("Could not load this conversation: " + error.message);
+        });
+      }
+      
+      function insertWholeChat(chatData) {
+        withFullChat(chatData, chat => {
+          const reference = buildWholeChatReference(chat);
+          if (insertReference(reference.text)) recordReference([{ chat: chat, messages: null }], reference.format, reference.strategy);
+        });
+      }
+      
+      function insertSummary(chatData, button) {
+        if (button.disabled) return;
+        button.disabled = true;
+        button.textContent = CONFIG.summarizingText;
+        loadChat(chatData).then(summarizeChat).then(summary => {
+          if (insertReference(formatReference(chatData, [{ role: 'summary', text: summary }]))) {
+            recordReference([{ chat: chatData, messages: null }], 'summary');
+          }
+        }).catch(error => {
+          log("Error summarizing chat:", error);
+          alert("Could not summarize this conversation: " + error.message);
+          button.disabled = false;
+          button.textContent = CONFIG.insertSummaryText;
+        });
+      }
+      
+      // Preview of the hovered or highlighted chat: its rendered messages and the exact text Insert adds
+      const previewPane = document.createElement('div');
+      previewPane.id = 'tm-reference-preview';
+      previewPane.className = 'tm-ref-preview';
+      previewPane.setAttribute('role', 'region');
+      previewPane.setAttribute('aria-label', 'Preview');
+      previewPane.appendChild(createTextElement('p', 'tm-ref-empty', CONFIG.previewEmptyText));
+      let previewChat = null;
+      let previewTimer = null;
+      // Full chats loaded for the preview during this opening, most recent last
+      const previewCache = new Map();
+      
+      function schedulePreview(chatData) {
+        clearTimeout(previewTimer);
+        if (previewChat && getChatKey(previewChat) === getChatKey(chatData)) return;
+        previewTimer = setTimeout(() => showPreview(chatData), CONFIG.previewDelay);
+      }
+      
+      function showPreview(chatData) {
+        previewChat = chatData;
+        const key = getChatKey(chatData);
+        const cached = previewCache.get(key);
+        (cached ? Promise.resolve(cached) : loadChat(chatData)).then(chat => {
+          previewCache.delete(key);
+          previewCache.set(key, chat);
+          if (previewCache.size > 20) previewCache.delete(previewCache.keys().next().value);
+          // Another row may have been previewed while this one loaded
+          if (previewChat !== chatData || !modal.isConnected) return;
+          renderPreview(chatData, chat);
+        }).catch(error => {
+          if (previewChat !== chatData) return;
+          log("Error loading preview:", error);
+          previewPane.textContent = '';
+          previewPane.appendChild(createTextElement('p', 'tm-ref-warning', 'Could not load this conversation: ' + error.message));
+        });
+      }
+      
+      function renderPreview(chatData, chat) {
+        const reference = buildWholeChatReference(chat);
+        const redaction = redactReference(reference.text);
+        const entries = getReferenceMessages(chat);
+        previewPane.textContent = '';
+        
+        const head = document.createElement('div');
+        head.appendChild(createTextElement('h3', 'tm-ref-title tm-ref-preview-title', chat.chatTitle || 'Untitled Conversation'));
+        const date = chat.updatedAt || chat.createdAt;
+        head.appendChild(createTextElement('div', 'tm-ref-muted',
+          [date ? new Date(date).toLocaleString() : '', chat.model || '', entries.length + ' messages'].filter(Boolean).join(' \u00b7 ')));
+        if (reference.overBudget) {
+          const withPrompt = (reference.rawTokens + reference.promptTokens).toLocaleString() + ' / ' + CONFIG.tokenBudget.toLocaleString();
+          head.appendChild(createTextElement('div', 'tm-ref-warning tm-ref-preview-budget', reference.strategy === 'none' ?
+            'Over the token budget with your prompt (\u2248 ' + withPrompt + '); inserted as is' :
+            'Over the token budget with your prompt (\u2248 ' + withPrompt + '); trimmed: ' + TRUNCATION_STRATEGIES[reference.strategy]));
+        }
+        if (redaction.items.length) {
+          head.appendChild(createTextElement('div', 'tm-ref-warning tm-ref-redaction-summary',
+            describeRedactions(redaction.items) + ' will be masked (highlighted in the text to insert)'));
+        }
+        
+        const messageList = document.createElement('div');
+        messageList.className = 'tm-ref-preview-messages';
+        messageList.tabIndex = 0;
+        messageList.setAttribute('aria-label', 'Messages');
+        entries.slice(0, CONFIG.previewMessageLimit).forEach(msg => {
+          const item = document.createElement('div');
+          item.className = 'tm-ref-preview-message';
+          item.appendChild(createTextElement('div', 'tm-ref-role tm-ref-role-' + msg.role, ROLE_LABELS[msg.role] || msg.role));
+          const body = document.createElement('div');
+          body.className = 'tm-ref-markdown';
+          setSafeHtml(body, renderMarkdown(msg.text));
+          item.appendChild(body);
+          messageList.appendChild(item);
+        });
+        if (entries.length > CONFIG.previewMessageLimit) {
+          messageList.appendChild(createTextElement('p', 'tm-ref-muted',
+            '\u2026 ' + (entries.length - CONFIG.previewMessageLimit) + ' more messages, also inserted'));
+        }
+        
+        // Exactly what Insert adds, so a mistaken pick is caught before it lands in the prompt
+        const insertText = document.createElement('details');
+        insertText.className = 'tm-ref-preview-insert';
+        const tokens = estimateTokens(redaction.text);
+        insertText.appendChild(createTextElement('summary', '', reference.format === 'link' ?
+          'Live link to insert (\u2248 ' + tokens.toLocaleString() + ' tokens)' :
+          'Text to insert (\u2248 ' + tokens.toLocaleString() + ' tokens \u00b7 with prompt \u2248 ' +
+            (tokens + reference.promptTokens).toLocaleString() + ' / ' + CONFIG.tokenBudget.toLocaleString() + ')'));
+        insertText.appendChild(createRedactedText(redaction));
+        
+        const actions = document.createElement('div');
+        actions.className = 'tm-ref-row';
+        const selectButton = createButton(CONFIG.selectMessagesText);
+        selectButton.onclick = () => openChat(chatData);
+        const summaryButton = createButton(CONFIG.insertSummaryText);
+        summaryButton.onclick = () => insertSummary(chatData, summaryButton);
+        const insertButton = createButton(CONFIG.insertFullText, 'tm-ref-btn-primary tm-ref-spacer');
+        insertButton.id = 'tm-reference-preview-insert';
+        insertButton.onclick = () => {
+          if (insertReference(reference.text)) recordReference([{ chat: chat, messages: null }], reference.format, reference.strategy);
+        };
+        if (redaction.items.length) insertText.open = true;
+        actions.appendChild(selectButton);
+        actions.appendChild(summaryButton);
+        actions.appendChild(insertButton);
+        
+        previewPane.appendChild(head);
+        previewPane.appendChild(messageList);
+        previewPane.appendChild(insertText);
+        previewPane.appendChild(actions);
+      }
+      
+      /**
+       * Builds the preview of the text to insert, with each mask highlighted and the text it replaces in its tooltip.
+       * @param {{text: string, items: Array<Object>}} redaction - Result of redactReference.
+       * @returns {HTMLElement}
+       */
+      function createRedactedText(redaction) {
+        const limit = CONFIG.previewTextMaxChars;
+        const pre = document.createElement('pre');
+        pre.className = 'tm-ref-preview-text';
+        let position = 0;
+        redaction.items.filter(item => item.end <= limit).forEach(item => {
+          pre.appendChild(document.createTextNode(redaction.text.slice(position, item.start)));
+          const mark = createTextElement('mark', 'tm-ref-redacted', redaction.text.slice(item.start, item.end));
+          mark.title = 'Masks ' + item.label + ': ' + item.original;
+          pre.appendChild(mark);
+          position = item.end;
+        });
+        pre.appendChild(document.createTextNode(redaction.text.slice(position, limit)));
+        if (redaction.text.length > limit) {
+          pre.appendChild(document.createTextNode('\n\u2026 ' + (redaction.text.length - limit).toLocaleString() + ' more characters'));
+        }
+        return pre;
+      }
+      
+      // The insert text depends on link mode, so the preview follows the toggle
+      modal.addEventListener('change', (event) => {
+        if (event.target.classList.contains('tm-reference-link-mode') && previewChat) {
+          const cached = previewCache.get(getChatKey(previewChat));
+          if (cached) renderPreview(previewChat, cached);
+        }
+      });
+      
+      // Pinned chats and recent references, shown above the full list while nothing is searched for
+      const quickSections = document.createElement('div');
+      quickSections.id = 'tm-reference-quick';
+      quickSections.className = 'tm-ref-panel tm-ref-quick';
+      
+      function appendQuickSection(title, headerAction) {
+        const head = document.createElement('div');
+        head.className = 'tm-ref-row-head';
+        head.appendChild(createTextElement('h3', 'tm-ref-quick-title', title));
+        if (headerAction) head.appendChild(headerAction);
+        const list = document.createElement('ul');
+        list.className = 'tm-ref-quick-list';
+        list.setAttribute('aria-label', title);
+        quickSections.appendChild(head);
+        quickSections.appendChild(list);
+        return list;
+      }
+      
+      function createQuickItem(title, meta, actions, chat) {
+        const item = document.createElement('li');
+        if (chat) item.addEventListener('mouseover', () => schedulePreview(chat));
+        item.className = 'tm-ref-quick-item';
+        const body = document.createElement('div');
+        body.className = 'tm-ref-row-body';
+        body.appendChild(createTextElement('div', 'tm-ref-row-title', title));
+        body.appendChild(createTextElement('div', 'tm-ref-muted', meta));
+        item.appendChild(body);
+        actions.forEach(([text, onClick]) => {
+          const button = createButton(text, 'tm-ref-btn-small');
+          button.onclick = () => onClick(button);
+          item.appendChild(button);
+        });
+        return item;
+      }
+      
+      function reinsertFromHistory(item, button) {
+        button.disabled = true;
+        buildFromHistory(item).then(text => {
+          if (insertReference(text)) saveHistoryItem(Object.assign({}, item, { insertedAt: new Date().toISOString() }));
+        }).catch(error => {
+          log("Error re-inserting reference:", error);
+          alert("Could not insert this reference again: " + error.message);
+          button.disabled = false;
+        });
+      }
+      
+      function renderQuickSections() {
+        quickSections.textContent = '';
+        const pinned = getPinnedKeys().map(key => chats.find(chat => getChatKey(chat) === key)).filter(Boolean);
+        const history = getReferenceHistory().slice(0, CONFIG.recentReferencesShown);
+        quickSections.hidden = !!searchInput.value.trim() || (!relatedSuggestions.length && !pinned.length && !history.length);
+        if (quickSections.hidden) return;
+        
+        if (relatedSuggestions.length) {
+          const list = appendQuickSection(CONFIG.relatedTitle);
+          relatedSuggestions.forEach(({ chat, score }) => {
+            const meta = Math.round(score * 100) + '% match \u00b7 ' + getMessageCount(chat) + ' messages' + (chat.model ? ' \u00b7 ' + chat.model : '');
+            list.appendChild(createQuickItem(chat.chatTitle || 'Untitled Conversation', meta, [
+              ['Open', () => openChat(chat)],
+              [CONFIG.insertFullText, () => insertWholeChat(chat)]
+            ], chat));
+          });
+        }
+        
+        if (pinned.length) {
+          const list = appendQuickSection(CONFIG.pinnedTitle);
+          pinned.forEach(chat => {
+            const title = chat.chatTitle || 'Untitled Conversation';
+            list.appendChild(createQuickItem(title, getMessageCount(chat) + ' messages' + (chat.model ? ' \u00b7 ' + chat.model : ''), [
+              ['Open', () => openChat(chat)],
+              [CONFIG.insertFullText, () => insertWholeChat(chat)],
+              [CONFIG.unpinText, () => {
+                togglePinned(chat);
+                refreshPins();
+                announce('Unpinned "' + title + '"');
+              }]
+            ], chat));
+          });
+        }
+        if (history.length) {
+          const clearButton = createButton(CONFIG.clearHistoryText, 'tm-ref-btn-small');
+          clearButton.onclick = () => {
+            clearReferenceHistory();
+            renderQuickSections();
+            announce('Reference history cleared');
+          };
+          const list = appendQuickSection(CONFIG.recentTitle, clearButton);
+          history.forEach(item => {
+            list.appendChild(createQuickItem(item.chats.map(ref => ref.title).join(', '), describeHistoryItem(item), [
+              [CONFIG.reinsertText, button => reinsertFromHistory(item, button)]
+            ]));
+          });
+        }
+      }
+      
+      // Keeps the Pinned section, the rows' pin buttons and the toolbar in step
+      function refreshPins() {
+        renderQuickSections();
+        chatList.querySelectorAll('[data-action="pin"]').forEach(button => {
+          const container = button.closest('.tm-reference-chat-item').parentNode;
+          setPinButtonState(button, isPinned(container._chatData));
+        });
+        updateRowToolbar();
+      }
+      
+      /**
+       * Runs a per-row action on a chat: the row's mouse controls, the toolbar and the Alt shortcuts share it.
+       * @param {string} action - 'basket' (toggle membership), 'pin' (toggle) or 'export'.
+       * @param {Object} [chatData] - Chat metadata; defaults to the highlighted row's.
+       */
+      function runRowAction(action, chatData) {
+        if (!chatData) {
+          if (activeIndex === -1 || !currentResults[activeIndex]) return;
+          chatData = currentResults[activeIndex].chat;
+        }
+        if (action === 'basket') {
+          if (findBasketIndex(chatData) !== -1) {
+            removeFromBasket(chatData);
+            return;
+          }
+          loadChat(chatData).then(chat => addToBasket(chat, null)).catch(error => {
+            syncBasketCheckboxes();
+            log("Error loading chat:", error);
+            alert("Could not load this conversation: " + error.message);
+          });
+        } else if (action === 'pin') {
+          const pinned = togglePinned(chatData);
+          refreshPins();
+          announce((pinned ? 'Pinned "' : 'Unpinned "') + (chatData.chatTitle || 'Untitled Conversation') + '"');
+        } else if (action === 'export') {
+          withFullChat(chatData, chat => exportChats([{ chat: chat, messages: null }]));
+        }
+      }
+      
+      const ROW_ACTION_SHORTCUTS = { 'Alt+B': 'basket', 'Alt+P': 'pin', 'Alt+E': 'export' };
+      
+      function handleListKeydown(event) {
+        if (!currentResults.length) return;
+        const inSearch = event.target === searchInput;
+        const pageSize = Math.floor(chatList.clientHeight / rowHeight) || 10;
+        
+        if (event.key === 'ArrowDown') setActiveRow(activeIndex + 1);
+        else if (event.key === 'ArrowUp') setActiveRow(activeIndex - 1);
+        else if (event.key === 'PageDown') setActiveRow(activeIndex + pageSize);
+        else if (event.key === 'PageUp') setActiveRow(activeIndex - pageSize);
+        // Home/End keep moving the caret while typing in the search input
+        else if (event.key === 'Home' && !inSearch) setActiveRow(0);
+        else if (event.key === 'End' && !inSearch) setActiveRow(currentResults.length - 1);
+        else if (event.key === 'Enter' && activeIndex !== -1) {
+          const chatData = currentResults[activeIndex].chat;
+          if (event.ctrlKey || event.metaKey) insertWholeChat(chatData);
+          else openChat(chatData);
+        } else if (event.key === ' ' && !inSearch) {
+          runRowAction('basket');
+        } else {
+          const shortcut = Object.keys(ROW_ACTION_SHORTCUTS).find(keys => matchesShortcut(event, keys));
+          if (!shortcut) return;
+          runRowAction(ROW_ACTION_SHORTCUTS[shortcut]);
+        }
+        event.preventDefault();
+      }
       
-      const header = document.createElement('div');
-      header.innerHTML = '<h2 style="margin: 0; color: black; font-size: 18px;">' + CONFIG.modalTitle + '</h2>';
+      // Search functionality (titles and message bodies), applied on top of the filters
+      const searchInput = searchBox.querySelector('#tm-reference-search-input');
+      let searchTimer = null;
       
-      const searchBox = document.createElement('div');
-      searchBox.innerHTML = '<input type="text" id="tm-reference-search-input" placeholder="' + CONFIG.searchPlaceholder + '" style="width: 100%; padding: 8px 12px; border: 1px solid #cbd5e0; border-radius: 6px;">';
+      function runSearch() {
+        populateChatList(searchChats(filterAndSortChats(chats, filters), searchInput.value));
+        renderQuickSections();
+      }
       
-      const chatList = document.createElement('div');
-      chatList.id = 'tm-reference-chat-list';
-      chatList.style.cssText = 'overflow-y: auto; border-top: 1px solid #e2e8f0; border-bottom: 1px solid #e2e8f0; padding: 0; margin: 0;';
-
-      // Function to populate chat list
-      function populateChatList(filteredChats) {
-        chatList.innerHTML = ''; 
-        if (!filteredChats || filteredChats.length === 0) { 
-          chatList.innerHTML = '<p style="text-align: center; padding: 20px; color: #718096;">' + CONFIG.noResultsText + '</p>'; 
-          return; 
-        }
-        
-        filteredChats.forEach(chat => {
-          const chatItemContainer = document.createElement('div');
-          const title = chat.chatTitle || 'Untitled Conversation';
-          const date = chat.updatedAt ? new Date(chat.updatedAt).toLocaleString() : chat.createdAt ? new Date(chat.createdAt).toLocaleString() : 'Unknown date';
-          const model = chat.model || '';
-          const messageCount = chat.messages ? chat.messages.length : 0;
-          
-          chatItemContainer.innerHTML = '<div class="tm-reference-chat-item" style="padding: 12px; margin: 0; border-bottom: 1px solid #e2e8f0; cursor: pointer; transition: background-color 0.2s; color: black;"><div style="display: flex; justify-content: space-between; align-items: center;"><strong style="font-size: 15px; margin-right: 10px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">' + title + '</strong><span style="background: #e2e8f0; padding: 2px 6px; border-radius: 4px; font-size: 12px; white-space: nowrap;">' + messageCount + ' messages</span></div><div style="margin-top: 4px; font-size: 13px; color: #4a5568; display: flex; justify-content: space-between;"><span>' + date + '</span><span style="color: #718096; font-style: italic; max-width: 150px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">' + model + '</span></div></div>';
-          
-          // Store chat data
-          chatItemContainer._chatData = chat;
-          
-          // Add hover effects
-          const chatDiv = chatItemContainer.querySelector('.tm-reference-chat-item');
-          chatDiv.addEventListener('mouseover', () => chatDiv.style.backgroundColor = '#f0f4f8');
-          chatDiv.addEventListener('mouseout', () => chatDiv.style.backgroundColor = '');
-          
-          chatList.appendChild(chatItemContainer);
+      // Initial population
+      runSearch();
+      
+      // The prompt may have changed without input events (e.g. a template pasted in by TypingMind)
+      if (CONFIG.relatedSuggestions) {
+        const prompt = findChatInput();
+        updateRelatedSuggestions(prompt ? prompt.value : '').then(() => {
+          if (modal.isConnected) renderQuickSections();
         });
       }
       
-      // Initial population
-      populateChatList(chats);
+      searchInput.addEventListener('keydown', handleListKeydown);
+      chatList.addEventListener('keydown', handleListKeydown);
       
-      // Search functionality
-      const searchInput = searchBox.querySelector('#tm-reference-search-input');
       searchInput.addEventListener('input', function() {
-        const searchTerm = this.value.toLowerCase();
-        const filtered = chats.filter(chat => (chat.chatTitle || 'Untitled Conversation').toLowerCase().includes(searchTerm));
-        populateChatList(filtered);
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(runSearch, CONFIG.searchDebounce);
       });
       
+      // Pick up chats added or changed since the last scan once the background refresh finishes
+      const shownVersion = chatIndexVersion;
+      if (indexBuildPromise) {
+        indexBuildPromise.then(updated => {
+          if (chatIndexVersion === shownVersion || !modal.isConnected) return;
+          chats = updated;
+          runSearch();
+        }).catch(error => log("Error refreshing chat index:", error));
+      }
+      
       // Handle chat selection
       chatList.addEventListener('click', function(event) {
         const clickedItemDiv = event.target.closest('.tm-reference-chat-item');
@@ -268,78 +4201,99 @@
           return;
         }
         
-        log("Selected chat:", chatData.chatTitle || 'Untitled');
-        
-        // Format conversation text
-        let formattedText = '';
-        if (chatData.messages && Array.isArray(chatData.messages)) {
-          chatData.messages.forEach(msg => {
-            let role = msg.role === 'user' ? 'User' : msg.role === 'assistant' ? 'Assistant' : null;
-            let contentText = '';
-            if (msg.content) {
-              if (typeof msg.content === 'string') { 
-                contentText = msg.content;
-              } else if (Array.isArray(msg.content)) { 
-                contentText = msg.content.filter(part => part && part.type === 'text' && part.text).map(part => part.text).join('\n');
-              } else if (typeof msg.content === 'object' && msg.content.text) { 
-                contentText = msg.content.text;
-              }
-            }
-            if (role && contentText && contentText.trim()) {
-              formattedText += role + ': ' + contentText.trim() + '\n\n';
-            }
-          });
-        }
-        
-        // Create reference text
-        const referenceHeader = '\n\n--- Start Reference ---\nConversation: "' + (chatData.chatTitle || 'Untitled') + '"\nLast Updated: ' + (chatData.updatedAt ? new Date(chatData.updatedAt).toLocaleString() : 'N/A') + '\n\n';
-        const referenceFooter = '--- End Reference ---\n';
-        const fullTextToInsert = referenceHeader + formattedText + referenceFooter;
-
-        // Find the textarea
-        const textarea = document.getElementById('chat-input-textbox') || 
-                         document.querySelector('[data-element-id="chat-input-textbox"]') ||
-                         document.querySelector('textarea'); 
-                          
-        if (!textarea) {
-          alert("Error: Could not find the chat input textarea.");
-          log("Textarea not found for insertion");
+        // The checkbox toggles basket membership instead of opening the chat
+        if (event.target.classList.contains('tm-reference-chat-select')) {
+          runRowAction('basket', chatData);
           return;
         }
         
-        // Insert text
-        const success = insertTextIntoInput(textarea, fullTextToInsert);
-        if (!success) {
-          log("Text insertion failed");
-          alert("Could not insert text. Please try copying it manually.");
+        const actionButton = event.target.closest('[data-action]');
+        if (actionButton) {
+          runRowAction(actionButton.dataset.action, chatData);
+          return;
         }
         
-        // Close modal
-        const modalToRemove = document.getElementById('tm-reference-chat-modal');
-        if (modalToRemove) modalToRemove.remove();
+        setActiveRow(Number(chatItemContainer.dataset.index));
+        openChat(chatData);
       });
       
+      function openSettings() {
+        const settingsView = createSettingsView((message) => {
+          settingsView.remove();
+          listView.hidden = false;
+          if (message) announce(message);
+          settingsButton.focus();
+        });
+        listView.hidden = true;
+        modalContent.appendChild(settingsView);
+        const firstField = settingsView.querySelector('input, select, textarea');
+        if (firstField) firstField.focus();
+      }
+      
+      // Swaps in the message selection step for a chat, once its messages are loaded
+      function openChat(chatData) {
+        log("Selected chat:", chatData.chatTitle || 'Untitled');
+        
+        withFullChat(chatData, fullChat => {
+          // The modal may have been closed, or another chat opened, while loading
+          if (!modal.isConnected || listView.hidden) return;
+          function backToList() {
+            messageView.remove();
+            listView.hidden = false;
+            searchInput.focus();
+          }
+          const messageView = createMessageSelectionView(fullChat, backToList, (chat, messages) => {
+            addToBasket(chat, messages);
+            backToList();
+          });
+          listView.hidden = true;
+          modalContent.appendChild(messageView);
+          const insertButton = messageView.querySelector('#tm-reference-insert-button');
+          if (insertButton) insertButton.focus();
+        });
+      }
+      
       // Add close button
-      const closeButton = document.createElement('button');
-      closeButton.innerHTML = CONFIG.cancelButtonText;
-      closeButton.style.cssText = 'padding: 8px 16px; border-radius: 6px; background: #e53e3e; color: white; border: none; cursor: pointer; font-size: 14px; width: fit-content; margin-left: auto;';
-      closeButton.onclick = () => { 
-        const modalToRemove = document.getElementById('tm-reference-chat-modal');
-        if (modalToRemove) modalToRemove.remove();
-      };
+      const closeButton = createButton(CONFIG.cancelButtonText, 'tm-ref-btn-large');
+      closeButton.onclick = closeModal;
+      const listFooter = document.createElement('div');
+      listFooter.className = 'tm-ref-footer';
+      const exportOptions = document.createElement('label');
+      exportOptions.className = 'tm-ref-toggle tm-ref-muted';
+      exportOptions.appendChild(document.createTextNode('Export as'));
+      exportOptions.appendChild(createExportFormatSelect());
+      const deliveryOptions = document.createElement('label');
+      deliveryOptions.className = 'tm-ref-toggle tm-ref-muted';
+      deliveryOptions.appendChild(document.createTextNode('Insert'));
+      deliveryOptions.appendChild(createDeliveryModeSelect());
+      listFooter.appendChild(createLinkModeToggle());
+      listFooter.appendChild(deliveryOptions);
+      listFooter.appendChild(exportOptions);
+      listFooter.appendChild(closeButton);
       
       // Assemble modal
-      modalContent.appendChild(header);
-      modalContent.appendChild(searchBox);
-      modalContent.appendChild(chatList);
-      modalContent.appendChild(closeButton);
+      listView.appendChild(liveRegion);
+      listView.appendChild(keyboardHint);
+      listView.appendChild(header);
+      listView.appendChild(searchBox);
+      listView.appendChild(filterPanel);
+      listView.appendChild(quickSections);
+      const listSplit = document.createElement('div');
+      listSplit.className = 'tm-ref-split';
+      listSplit.appendChild(chatList);
+      listSplit.appendChild(previewPane);
+      listView.appendChild(listSplit);
+      listView.appendChild(rowToolbar);
+      listView.appendChild(basketBar);
+      listView.appendChild(listFooter);
+      modalContent.appendChild(listView);
       modal.appendChild(modalContent);
+      modalReturnFocus = document.activeElement;
       document.body.appendChild(modal);
       
-      // Focus management
+      // Focus management: start in the search input; arrow keys drive the list from there
       setTimeout(() => {
         searchInput.focus();
-        modal.focus();
       }, 100);
       
     } catch (error) {
@@ -348,44 +4302,786 @@
     }
   }
 
+  // ----------------------------------------
+  // Inline Trigger
+  // ----------------------------------------
+  function isChatInput(element) {
+    return !!element && element.tagName === 'TEXTAREA' && element === findChatInput();
+  }
+
+  /**
+   * Looks for the trigger token before the caret, e.g. "see @@deploy" with the caret after "deploy".
+   * The trigger must start the input or follow whitespace, and the query may not span lines.
+   * @param {HTMLTextAreaElement} textarea - The chat input.
+   * @returns {{start: number, end: number, query: string}|null} Range to replace and the query typed so far.
+   */
+  function findInlineTrigger(textarea) {
+    const trigger = CONFIG.inlineTrigger;
+    if (!trigger || textarea.selectionStart !== textarea.selectionEnd) return null;
+    const caret = textarea.selectionStart;
+    const before = textarea.value.slice(0, caret);
+    const start = before.lastIndexOf(trigger);
+    if (start === -1) return null;
+    if (start > 0 && !/\s/.test(before[start - 1])) return null;
+    const query = before.slice(start + trigger.length);
+    if (/[\r\n]/.test(query)) return null;
+    return { start: start, end: caret, query: query };
+  }
+
+  function closeInlinePicker() {
+    if (!inlinePicker) return;
+    removeThemedRoot(inlinePicker.element);
+    inlinePicker = null;
+    inlineChatsPromise = null;
+  }
+
+  function renderInlinePicker() {
+    const picker = inlinePicker;
+    picker.element.innerHTML = '';
+    if (!picker.results.length) {
+      const empty = document.createElement('div');
+      empty.className = 'tm-ref-empty';
+      empty.textContent = picker.loading ? CONFIG.indexingText : CONFIG.noResultsText;
+      picker.element.appendChild(empty);
+      return;
+    }
+
+    picker.results.forEach(({ chat, snippet }, i) => {
+      const item = document.createElement('div');
+      item.className = 'tm-reference-inline-item';
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(i === picker.active));
+      const title = document.createElement('div');
+      title.className = 'tm-ref-inline-title';
+      title.textContent = chat.chatTitle || 'Untitled Conversation';
+      item.appendChild(title);
+      if (snippet) {
+        const snippetEl = document.createElement('div');
+        snippetEl.className = 'tm-ref-inline-snippet';
+        setSafeHtml(snippetEl, snippet);
+        item.appendChild(snippetEl);
+      }
+      // mousedown so the textarea keeps focus
+      item.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+        picker.active = i;
+        acceptInlinePick();
+      });
+      picker.element.appendChild(item);
+    });
+  }
+
+  /**
+   * Opens or refreshes the inline picker for the current trigger match.
+   * Chats are loaded once per picker session and searched with the shared search index.
+   * @param {HTMLTextAreaElement} textarea - The chat input.
+   * @param {{start: number, end: number, query: string}} match - Result of findInlineTrigger.
+   */
+  function updateInlinePicker(textarea, match) {
+    if (!inlinePicker) {
+      const element = document.createElement('div');
+      element.id = 'tm-reference-inline-picker';
+      element.className = 'tm-ref-popover';
+      element.setAttribute('role', 'listbox');
+      element.setAttribute('aria-label', 'Conversations');
+      registerThemedRoot(element);
+      document.body.appendChild(element);
+      inlinePicker = { element: element, textarea: textarea, match: match, results: [], active: 0, loading: true };
+      inlineChatsPromise = getIndexedChats();
+    }
+
+    const picker = inlinePicker;
+    picker.textarea = textarea;
+    picker.match = match;
+    const rect = textarea.getBoundingClientRect();
+    picker.element.style.left = Math.max(8, rect.left) + 'px';
+    picker.element.style.bottom = Math.max(8, window.innerHeight - rect.top + 4) + 'px';
+    renderInlinePicker();
+
+    const promise = inlineChatsPromise;
+    promise.then(chats => {
+      // Ignore results for a picker that was closed or a query that changed meanwhile
+      if (inlinePicker !== picker || inlineChatsPromise !== promise || picker.match !== match) return;
+      picker.loading = false;
+      picker.results = searchChats(filterAndSortChats(chats, DEFAULT_FILTERS), match.query).slice(0, CONFIG.inlineMaxResults);
+      picker.active = 0;
+      renderInlinePicker();
+    }).catch(error => {
+      log("Error loading chats for inline picker:", error);
+      closeInlinePicker();
+    });
+  }
+
+  /**
+   * Replaces the trigger and query with the reference to the highlighted chat.
+   * The configured truncation strategy is applied since there is no budget UI inline.
+   */
+  function acceptInlinePick() {
+    const picker = inlinePicker;
+    const result = picker && picker.results[picker.active];
+    if (!result) return;
+    const textarea = picker.textarea;
+    const match = picker.match;
+    closeInlinePicker();
+
+    const typed = textarea.value.slice(match.start, match.end);
+    const insert = (text, format, strategy) => {
+      // Only replace the trigger if the input wasn't edited while the chat was loading
+      if (textarea.value.slice(match.start, match.end) !== typed) return;
+      textarea.selectionStart = match.start;
+      textarea.selectionEnd = match.end;
+      log("Inline pick:", result.chat.chatTitle || 'Untitled');
+      const redaction = redactReference(text);
+      if (!insertTextIntoInput(textarea, redaction.text)) {
+        alert("Could not insert text. Please try copying it manually.");
+        return;
+      }
+      if (redaction.items.length) showToast('Reference inserted (' + describeRedactions(redaction.items) + ' redacted)');
+      recordReference([{ chat: result.chat, messages: null }], format, strategy);
+    };
+    if (isLinkMode()) {
+      insert(formatReferenceToken(result.chat), 'link');
+      return;
+    }
+
+    loadChat(result.chat).then(chat => {
+      const remaining = textarea.value.slice(0, match.start) + textarea.value.slice(match.end);
+      const budget = Math.max(0, CONFIG.tokenBudget - estimateTokens(remaining));
+      insert(formatReference(chat, applyTokenBudget(chat, getReferenceMessages(chat), CONFIG.truncationStrategy, budget)), getSelectedTemplateId(), CONFIG.truncationStrategy);
+    }).catch(error => {
+      log("Error loading chat for inline pick:", error);
+      alert("Could not load this conversation: " + error.message);
+    });
+  }
+
+  function handleInlineInput(event) {
+    if (!isChatInput(event.target)) return;
+    const match = findInlineTrigger(event.target);
+    if (match) updateInlinePicker(event.target, match);
+    else closeInlinePicker();
+  }
+
+  // Runs in the capture phase so Enter/Tab pick a chat instead of reaching TypingMind's send handler
+  function handleInlineKeydown(event) {
+    if (!inlinePicker || !isChatInput(event.target)) return;
+    const picker = inlinePicker;
+    const count = picker.results.length;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      if (!count) return;
+      picker.active = (picker.active + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+      renderInlinePicker();
+    } else if ((event.key === 'Enter' || event.key === 'Tab') && !event.shiftKey && count) {
+      acceptInlinePick();
+    } else if (event.key === 'Escape') {
+      closeInlinePicker();
+    } else {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  function handleInlineBlur(event) {
+    if (inlinePicker && event.target === inlinePicker.textarea) closeInlinePicker();
+  }
+
+  /**
+   * Listens for the inline trigger while CONFIG.inlineTrigger is set, and stops when it's cleared.
+   */
+  function syncInlineTrigger() {
+    if (CONFIG.inlineTrigger && !inlineTriggerActive) {
+      document.addEventListener('input', handleInlineInput, true);
+      document.addEventListener('keydown', handleInlineKeydown, true);
+      document.addEventListener('focusout', handleInlineBlur, true);
+      inlineTriggerActive = true;
+      log(`Inline trigger "${CONFIG.inlineTrigger}" active`);
+    } else if (!CONFIG.inlineTrigger && inlineTriggerActive) {
+      stopInlineTrigger();
+    }
+  }
+
+  function stopInlineTrigger() {
+    closeInlinePicker();
+    document.removeEventListener('input', handleInlineInput, true);
+    document.removeEventListener('keydown', handleInlineKeydown, true);
+    document.removeEventListener('focusout', handleInlineBlur, true);
+    inlineTriggerActive = false;
+  }
+
+  // ----------------------------------------
+  // Linked References
+  // ----------------------------------------
+  // A token such as [[ref:chatId#msgs=3-7]] stands in for a reference until the message is sent.
+  // msgs lists 1-based positions in chat.messages; without it the whole chat is referenced.
+  const REFERENCE_TOKEN_PATTERN = /\[\[ref:([^\]#]*)(?:#msgs=([^\]]*))?\]\]/g;
+  const REFERENCE_TOKEN_START = '[[ref:';
+
+  const SEND_SHORTCUTS = {
+    'Enter': 'Enter',
+    'Mod+Enter': 'Ctrl+Enter (Cmd+Enter on macOS)'
+  };
+
+  function isLinkMode() {
+    return loadPreference('linkMode', CONFIG.linkedReferences) === true;
+  }
+
+  function formatMessageRanges(numbers) {
+    const ranges = [];
+    numbers.forEach(n => {
+      const last = ranges[ranges.length - 1];
+      if (last && n === last[1] + 1) last[1] = n;
+      else ranges.push([n, n]);
+    });
+    return ranges.map(range => range[0] === range[1] ? String(range[0]) : range[0] + '-' + range[1]).join(',');
+  }
+
+  /**
+   * Parses a msgs value such as "3-7,9".
+   * @param {string} spec - The value after "#msgs=".
+   * @returns {?Array<Array<number>>} Inclusive [from, to] pairs of 1-based message numbers, or null if the value is malformed.
+   */
+  function parseMessageRanges(spec) {
+    const ranges = [];
+    for (const part of spec.split(',')) {
+      const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(part);
+      if (!match) return null;
+      const from = Number(match[1]);
+      const to = match[2] ? Number(match[2]) : from;
+      if (from < 1 || to < from) return null;
+      ranges.push([from, to]);
+    }
+    return ranges;
+  }
+
+  /**
+   * Builds the placeholder for a chat or a subset of its messages.
+   * @param {Object} chat - The chat being referenced.
+   * @param {?Array<Object>} [messages] - Entries from getReferenceMessages; omit for the whole chat.
+   * @returns {string} The token text.
+   */
+  function formatReferenceToken(chat, messages) {
+    let token = REFERENCE_TOKEN_START + encodeURIComponent(getChatKey(chat));
+    if (messages) {
+      const numbers = Array.from(new Set(messages.filter(msg => msg.index >= 0).map(msg => msg.index + 1))).sort((a, b) => a - b);
+      if (numbers.length) token += '#msgs=' + formatMessageRanges(numbers);
+    }
+    return token + ']]';
+  }
+
+  /**
+   * Replaces every reference token in the text with the referenced chat's current content,
+   * read fresh from IndexedDB and formatted with the selected template and include options.
+   * @param {string} text - The prompt about to be sent.
+   * @returns {Promise<{text: string, errors: Array<string>, count: number, redacted: Array<Object>}>} The
+   *          expanded text and what redaction masked in it, or the original text plus one error per token
+   *          that could not be resolved.
+   */
+  async function expandReferenceTokens(text) {
+    const matches = Array.from(text.matchAll(REFERENCE_TOKEN_PATTERN));
+    if (!matches.length) return { text: text, errors: [], count: 0, redacted: [] };
+
+    const chats = await refreshChatIndex();
+    const chatsByKey = new Map();
+    chats.forEach(chat => [chat.id, chat.chatID, getChatKey(chat)].forEach(key => {
+      if (key && !chatsByKey.has(key)) chatsByKey.set(key, chat);
+    }));
+
+    const errors = [];
+    const entries = [];
+    for (const match of matches) {
+      let key;
+      try {
+        key = decodeURIComponent(match[1]);
+      } catch (e) {
+        key = match[1];
+      }
+      const meta = chatsByKey.get(key);
+      const chat = meta ? await loadChat(meta).catch(() => null) : null;
+      if (!chat) {
+        errors.push(match[0] + ' — the conversation no longer exists');
+        continue;
+      }
+      let messages = getReferenceMessages(chat);
+      if (match[2] !== undefined) {
+        const ranges = parseMessageRanges(match[2]);
+        if (!ranges) {
+          errors.push(match[0] + ' — "' + match[2] + '" is not a valid message range');
+          continue;
+        }
+        const last = Math.max.apply(null, ranges.map(range => range[1]));
+        if (last > chat.messages.length) {
+          errors.push(match[0] + ' — message ' + last + ' no longer exists ("' + (chat.chatTitle || 'Untitled') +
+            '" has ' + chat.messages.length + ')');
+          continue;
+        }
+        messages = messages.filter(msg => msg.index === -1 ||
+          ranges.some(range => msg.index + 1 >= range[0] && msg.index + 1 <= range[1]));
+      }
+      if (!messages.length) {
+        errors.push(match[0] + ' — the referenced messages have no text');
+        continue;
+      }
+      entries.push({ chat: chat, messages: messages, match: match });
+    }
+    if (errors.length) return { text: text, errors: errors, count: matches.length, redacted: [] };
+
+    const budget = Math.max(0, CONFIG.tokenBudget - estimateTokens(text.replace(REFERENCE_TOKEN_PATTERN, '')));
+    const budgeted = applyCombinedTokenBudget(entries, CONFIG.truncationStrategy, budget);
+
+    // Replace from the end so earlier match offsets stay valid
+    let expanded = text;
+    const redacted = [];
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const match = entries[i].match;
+      const redaction = redactReference(formatReference(budgeted[i].chat, budgeted[i].messages));
+      redacted.push(...redaction.items);
+      expanded = expanded.slice(0, match.index) + redaction.text + expanded.slice(match.index + match[0].length);
+    }
+    return { text: expanded, errors: [], count: entries.length, redacted: redacted };
+  }
+
+  /**
+   * Expands the tokens in the chat input, then lets the send go ahead.
+   * If any token can't be resolved the text is left as it is and nothing is sent.
+   * @param {HTMLTextAreaElement} textarea - The chat input.
+   * @param {Function} resend - Sends the expanded prompt; called with the redaction note, e.g. " (1 email redacted)".
+   */
+  async function expandAndSend(textarea, resend) {
+    let result;
+    try {
+      result = await expandReferenceTokens(textarea.value);
+    } catch (error) {
+      log("Reference expansion failed:", error);
+      alert("Your message was not sent: conversation references could not be loaded (" + error.message + ").");
+      return;
+    }
+    if (result.errors.length) {
+      log("Unresolved reference tokens:", result.errors);
+      alert("Your message was not sent because some conversation references are invalid:\n\n" +
+        result.errors.join('\n') + "\n\nRemove or re-insert them and try again.");
+      return;
+    }
+
+    textarea.selectionStart = 0;
+    textarea.selectionEnd = textarea.value.length;
+    if (!insertTextIntoInput(textarea, result.text)) {
+      alert("Could not expand the conversation references. Your message was not sent.");
+      return;
+    }
+    log(`Expanded ${result.count} reference token(s) before sending`);
+    // The prompt goes out straight away, so say what was masked rather than leave it to be spotted in the sent text
+    const redactedNote = result.redacted.length ? ' (' + describeRedactions(result.redacted) + ' redacted)' : '';
+    if (redactedNote) showToast('Conversation references expanded' + redactedNote);
+    sendBypass = true;
+    try {
+      resend(redactedNote);
+    } finally {
+      sendBypass = false;
+    }
+  }
+
+  /**
+   * Finds the button that sends the prompt. A form's submit button only counts when the form also holds
+   * a textarea that looks like a chat box, so plugin and settings forms ("Save plugin") aren't taken for it.
+   * @returns {?HTMLElement} The send button.
+   */
+  function findSendButton() {
+    const button = document.querySelector('[data-element-id="send-button"]');
+    if (button) return button;
+    return Array.from(document.querySelectorAll('form button[type="submit"]')).find(submit =>
+      !isOwnElement(submit) && Array.from(submit.closest('form').querySelectorAll('textarea')).some(looksLikeChatInput)) || null;
+  }
+
+  /**
+   * Sends the prompt with TypingMind's own send button, so its handlers see a real click rather than
+   * a synthetic key event. Without a send button the expanded text stays in the input to be sent by hand.
+   * @param {string} redactedNote - Redaction note from expandAndSend, kept in the notice that replaces its own.
+   */
+  function clickSendButton(redactedNote) {
+    const button = findSendButton();
+    if (button && !button.disabled) {
+      button.click();
+    } else {
+      showToast('Conversation references expanded' + redactedNote + '. Press ' + CONFIG.sendShortcut.replace('Mod', isMacPlatform() ? 'Cmd' : 'Ctrl') + ' to send.');
+    }
+  }
+
+  // Runs in the capture phase, ahead of TypingMind's own Enter handling. Only the key combination that
+  // sends (CONFIG.sendShortcut) is intercepted, so Enter still inserts a newline where it doesn't send.
+  function handleSendKeydown(event) {
+    if (sendBypass || event.defaultPrevented || event.isComposing || !matchesShortcut(event, CONFIG.sendShortcut)) return;
+    const textarea = event.target;
+    if (!isChatInput(textarea) || textarea.value.indexOf(REFERENCE_TOKEN_START) === -1) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    expandAndSend(textarea, clickSendButton);
+  }
+
+  // Intercepts whichever element findSendButton() settles on, so every send button variant it accepts
+  // (not just the data-element-id one) expands tokens before a mouse send
+  function handleSendClick(event) {
+    if (sendBypass || !(event.target instanceof Node)) return;
+    const button = findSendButton();
+    if (!button || !button.contains(event.target)) return;
+    const textarea = findChatInput();
+    if (!textarea || textarea.value.indexOf(REFERENCE_TOKEN_START) === -1) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    expandAndSend(textarea, () => button.click());
+  }
+
+  // ----------------------------------------
+  // Related Conversations
+  // ----------------------------------------
+  // Nothing leaves the browser: chats and the prompt are turned into TF-IDF vectors over hashed word
+  // unigrams and bigrams, and compared by cosine similarity in a Web Worker.
+
+  /**
+   * Creates the similarity engine. It must stay self-contained (no outside references), because the
+   * worker is built from this function's source text.
+   * @returns {{upsert: Function, remove: Function, query: Function}} The engine.
+   */
+  function createSimilarityEngine() {
+    const BUCKETS = 1 << 20;
+    const STOP_WORDS = new Set(('a an and are as at be but by can could do does for from had has have how i if in into is it ' +
+      'its just me my no not of on or our so than that the their them then there these they this to up us was we were what ' +
+      'when where which who why will with would you your').split(' '));
+    const docs = new Map(); // chat key -> Map(feature -> weighted count)
+    const df = new Map();   // feature -> number of chats containing it
+    let norms = null;       // chat key -> vector length; recomputed after the corpus changes, since idf does
+
+    // FNV-1a, folded into a fixed number of buckets so the vocabulary never has to be stored
+    function hash(text) {
+      let h = 2166136261;
+      for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+      }
+      return (h >>> 0) % BUCKETS;
+    }
+
+    function addFeatures(text, weight, counts) {
+      const words = (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+      const add = feature => counts.set(feature, (counts.get(feature) || 0) + weight);
+      words.forEach((word, i) => {
+        add(hash(word));
+        if (i > 0) add(hash(words[i - 1] + ' ' + word));
+      });
+      return counts;
+    }
+
+    // Sublinear term frequency, so a long chat repeating a word doesn't drown out everything else
+    const tf = count => 1 + Math.log(count);
+    const idf = feature => Math.log((docs.size + 1) / ((df.get(feature) || 0) + 1)) + 1;
+
+    function remove(keys) {
+      keys.forEach(key => {
+        const counts = docs.get(key);
+        if (!counts) return;
+        counts.forEach((_, feature) => {
+          const n = df.get(feature) - 1;
+          if (n) df.set(feature, n);
+          else df.delete(feature);
+        });
+        docs.delete(key);
+      });
+      norms = null;
+    }
+
+    function upsert(list) {
+      remove(list.map(doc => doc.key));
+      list.forEach(doc => {
+        // Titles count double: they're short and usually say what the chat is about
+        const counts = addFeatures(doc.text, 1, addFeatures(doc.title, 2, new Map()));
+        docs.set(doc.key, counts);
+        counts.forEach((_, feature) => df.set(feature, (df.get(feature) || 0) + 1));
+      });
+      norms = null;
+    }
+
+    function query(text, limit, minScore) {
+      if (!norms) {
+        norms = new Map();
+        docs.forEach((counts, key) => {
+          let sum = 0;
+          counts.forEach((count, feature) => {
+            const weight = tf(count) * idf(feature);
+            sum += weight * weight;
+          });
+          norms.set(key, Math.sqrt(sum) || 1);
+        });
+      }
+      const vector = new Map();
+      let length = 0;
+      addFeatures(text, 1, new Map()).forEach((count, feature) => {
+        if (!df.has(feature)) return; // unseen in every chat, can't contribute
+        const weight = tf(count) * idf(feature);
+        vector.set(feature, weight);
+        length += weight * weight;
+      });
+      length = Math.sqrt(length);
+      if (!length) return [];
+
+      const results = [];
+      docs.forEach((counts, key) => {
+        let dot = 0;
+        vector.forEach((weight, feature) => {
+          const count = counts.get(feature);
+          if (count) dot += weight * tf(count) * idf(feature);
+        });
+        const score = dot / (length * norms.get(key));
+        if (dot && score >= minScore) results.push({ key: key, score: score });
+      });
+      results.sort((a, b) => b.score - a.score);
+      return results.slice(0, limit);
+    }
+
+    return { upsert: upsert, remove: remove, query: query };
+  }
+
+  function useEngineInPage(reason) {
+    log('Computing related chats on the page:', reason);
+    stopSimilarityWorker();
+    relatedEngine = createSimilarityEngine();
+    relatedSynced.clear();
+  }
+
+  /**
+   * Starts the similarity worker on first use. Where workers can't be created (e.g. a CSP without blob:),
+   * the same engine runs on the page instead.
+   */
+  function startSimilarityBackend() {
+    if (relatedWorker || relatedEngine) return;
+    try {
+      relatedWorkerUrl = URL.createObjectURL(new Blob([
+        'const engine = (' + createSimilarityEngine.toString() + ')();\n' +
+        'self.onmessage = function (event) {\n' +
+        '  const data = event.data;\n' +
+        '  if (data.type === "upsert") engine.upsert(data.docs);\n' +
+        '  else if (data.type === "remove") engine.remove(data.keys);\n' +
+        '  else if (data.type === "query") self.postMessage({ id: data.id, results: engine.query(data.text, data.limit, data.minScore) });\n' +
+        '};\n'
+      ], { type: 'text/javascript' }));
+      relatedWorker = new Worker(relatedWorkerUrl);
+      relatedWorker.onmessage = (event) => {
+        const request = relatedRequests.get(event.data.id);
+        if (!request) return;
+        relatedRequests.delete(event.data.id);
+        request.resolve(event.data.results);
+      };
+      relatedWorker.onerror = (event) => {
+        const pending = Array.from(relatedRequests.values());
+        relatedRequests.clear();
+        useEngineInPage(event.message || 'worker failed');
+        pending.forEach(request => request.reject(new Error('Similarity worker failed')));
+      };
+    } catch (error) {
+      useEngineInPage(error.message);
+    }
+  }
+
+  function stopSimilarityWorker() {
+    if (relatedWorker) relatedWorker.terminate();
+    if (relatedWorkerUrl) URL.revokeObjectURL(relatedWorkerUrl);
+    relatedWorker = null;
+    relatedWorkerUrl = null;
+  }
+
+  function postToSimilarityBackend(message) {
+    if (relatedWorker) relatedWorker.postMessage(message);
+    else if (message.type === 'upsert') relatedEngine.upsert(message.docs);
+    else if (message.type === 'remove') relatedEngine.remove(message.keys);
+  }
+
+  /**
+   * Sends the backend only the chats added, changed or removed since it was last synced.
+   */
+  function syncSimilarityIndex() {
+    const docs = [];
+    searchIndex.forEach((entry, key) => {
+      if (relatedSynced.get(key) === entry) return;
+      relatedSynced.set(key, entry);
+      docs.push({ key: key, title: entry.title, text: entry.lowerText.slice(0, CONFIG.relatedMaxChars) });
+    });
+    const removed = Array.from(relatedSynced.keys()).filter(key => !searchIndex.has(key));
+    removed.forEach(key => relatedSynced.delete(key));
+    if (removed.length) postToSimilarityBackend({ type: 'remove', keys: removed });
+    if (docs.length) postToSimilarityBackend({ type: 'upsert', docs: docs });
+  }
+
+  /**
+   * Finds the indexed chats most similar to a piece of text.
+   * Runs on typing pauses, so it uses the chat index as it is: a full scan reads every chat's messages.
+   * Only the first lookup waits for the index to be built, and one older than CONFIG.relatedIndexMaxAge
+   * is refreshed in the background.
+   * @param {string} text - Usually the prompt being typed.
+   * @returns {Promise<Array<{chat: Object, score: number}>>} Chat metadata with cosine similarity (0-1), best first.
+   */
+  async function findRelatedChats(text) {
+    if (!chatIndexRefreshedAt) {
+      await refreshChatIndex();
+    } else if (!indexBuildPromise && Date.now() - chatIndexRefreshedAt > CONFIG.relatedIndexMaxAge) {
+      refreshChatIndex().catch(error => log("Error refreshing chat index:", error));
+    }
+    startSimilarityBackend();
+    syncSimilarityIndex();
+    const query = text.slice(0, CONFIG.relatedMaxChars);
+    const results = relatedWorker ? await new Promise((resolve, reject) => {
+      const id = ++relatedRequestId;
+      relatedRequests.set(id, { resolve: resolve, reject: reject });
+      relatedWorker.postMessage({ type: 'query', id: id, text: query, limit: CONFIG.relatedShown, minScore: CONFIG.relatedMinScore });
+    }) : relatedEngine.query(query, CONFIG.relatedShown, CONFIG.relatedMinScore);
+    return results.map(result => ({ chat: chatIndex.get(result.key), score: result.score })).filter(result => result.chat);
+  }
+
+  /**
+   * Recomputes the suggestions for the prompt text and updates the button badge.
+   * @param {string} text - Current chat input text.
+   * @returns {Promise<Array<{chat: Object, score: number}>>} The suggestions.
+   */
+  async function updateRelatedSuggestions(text) {
+    const seq = ++relatedQuerySeq;
+    // Reference tokens say nothing about what the prompt is about
+    const query = CONFIG.relatedSuggestions ? String(text || '').replace(REFERENCE_TOKEN_PATTERN, ' ').trim() : '';
+    let suggestions = [];
+    if (query.length >= CONFIG.relatedMinChars) {
+      try {
+        suggestions = await findRelatedChats(query);
+      } catch (error) {
+        log("Error finding related chats:", error);
+      }
+    }
+    // A later keystroke may have started a newer lookup in the meantime
+    if (seq !== relatedQuerySeq) return relatedSuggestions;
+    relatedSuggestions = suggestions;
+    updateRelatedBadge();
+    return suggestions;
+  }
+
+  function updateRelatedBadge() {
+    const button = document.getElementById('reference-chat-button');
+    if (!button) return;
+    let badge = button.querySelector('.tm-ref-related-badge');
+    const count = relatedSuggestions.length;
+    if (!count) {
+      if (badge) badge.remove();
+      button.setAttribute('aria-label', CONFIG.buttonTooltip);
+      return;
+    }
+    if (!badge) {
+      injectStyles();
+      badge = document.createElement('span');
+      badge.className = 'tm-ref-related-badge';
+      badge.setAttribute('aria-hidden', 'true');
+      button.appendChild(badge);
+    }
+    badge.textContent = String(count);
+    button.setAttribute('aria-label', CONFIG.buttonTooltip + ' (' + count + ' related)');
+  }
+
+  function handleRelatedInput(event) {
+    if (!isChatInput(event.target)) return;
+    const textarea = event.target;
+    clearTimeout(relatedTimer);
+    relatedTimer = setTimeout(() => updateRelatedSuggestions(textarea.value), CONFIG.relatedDebounce);
+  }
+
   // ----------------------------------------
   // IndexedDB Access
   // ----------------------------------------
-  async function getChatsFromIndexedDB() {
+  function openKeyvalDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open('keyval-store');
+      request.onerror = (e) => reject(new Error('Failed to open keyval-store database: ' + e.target.error));
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+
+  /**
+   * Walks the keyval store with a cursor, CONFIG.indexBatchSize entries per transaction,
+   * yielding to the event loop between batches.
+   * @param {IDBDatabase} db - The open keyval-store database.
+   * @param {string} prefix - Only keys starting with this are read; empty reads every entry.
+   * @param {Function} visit - Called with (key, value) for each entry.
+   * @returns {Promise<void>} Resolves when the whole range has been read.
+   */
+  async function scanKeyvalStore(db, prefix, visit) {
+    const upper = prefix ? prefix + '\uffff' : undefined;
+    let lastKey;
+    let done = false;
+    while (!done) {
+      let range = null;
+      if (lastKey !== undefined) range = upper !== undefined ? IDBKeyRange.bound(lastKey, upper, true, false) : IDBKeyRange.lowerBound(lastKey, true);
+      else if (prefix) range = IDBKeyRange.bound(prefix, upper);
+
+      done = await new Promise((resolve, reject) => {
+        const request = db.transaction(['keyval'], 'readonly').objectStore('keyval').openCursor(range);
+        let count = 0;
+        request.onerror = (e) => reject(new Error('Failed to read chats from store: ' + e.target.error));
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return resolve(true);
+          // A throw here would otherwise be lost in the IDB event, leaving the scan (and every await on it) pending
+          try {
+            visit(cursor.primaryKey, cursor.value);
+          } catch (error) {
+            return reject(error);
+          }
+          lastKey = cursor.primaryKey;
+          if (++count >= CONFIG.indexBatchSize) return resolve(false);
+          cursor.continue();
+        };
+      });
+      if (!done) await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  /**
+   * Reads one chat with its messages, fresh from the store.
+   * @param {Object} chat - Metadata from the chat index; a full chat without a storeKey is returned as is.
+   * @returns {Promise<Object>} The full chat.
+   */
+  async function loadChat(chat) {
+    if (chat.storeKey === undefined) return chat;
+    const db = await openKeyvalDatabase();
     try {
-      const db = await new Promise((resolve, reject) => {
-        const request = indexedDB.open('keyval-store');
-        request.onerror = (e) => reject(new Error('Failed to open keyval-store database: ' + e.target.error));
+      const value = await new Promise((resolve, reject) => {
+        const request = db.transaction(['keyval'], 'readonly').objectStore('keyval').get(chat.storeKey);
+        request.onerror = (e) => reject(new Error('Failed to read chat: ' + e.target.error));
         request.onsuccess = () => resolve(request.result);
       });
-      
-      log("IndexedDB opened successfully");
-      
-      const transaction = db.transaction(['keyval'], 'readonly');
-      const store = transaction.objectStore('keyval');
-      
-      const allEntries = await new Promise((resolve, reject) => {
-        const request = store.getAll();
-        request.onerror = (e) => reject(new Error('Failed to get entries from store: ' + e.target.error));
+      if (!isChatEntry(value)) {
+        chatIndex.delete(getChatKey(chat));
+        searchIndex.delete(getChatKey(chat));
+        throw new Error('"' + (chat.chatTitle || 'Untitled Conversation') + '" no longer exists');
+      }
+      return value;
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Reads TypingMind's folder list from the keyval store, if it has one.
+   * Failures are logged and treated as "no folders" since the filter is optional.
+   * @returns {Promise<Array<{id: string, title: string}>>} Folders, possibly empty.
+   */
+  async function getFoldersFromIndexedDB() {
+    try {
+      const db = await openKeyvalDatabase();
+      const store = db.transaction(['keyval'], 'readonly').objectStore('keyval');
+      const value = await new Promise((resolve, reject) => {
+        const request = store.get(CONFIG.folderListKey);
+        request.onerror = (e) => reject(new Error('Failed to read folder list: ' + e.target.error));
         request.onsuccess = () => resolve(request.result);
       });
-      
-      log(`Retrieved ${allEntries.length} entries from store`);
-      
-      // Filter for chat objects
-      const chats = allEntries.filter(entry => 
-        entry && 
-        typeof entry === 'object' && 
-        ((entry.chatTitle !== undefined && entry.messages !== undefined) || 
-         (entry.id && entry.messages && Array.isArray(entry.messages)))
-      );
-      
-      log(`Filtered down to ${chats.length} chat entries`);
       db.close();
-      return chats;
+      return Array.isArray(value) ? value.filter(folder => folder && folder.id) : [];
     } catch (error) {
-      log("Error accessing IndexedDB:", error);
-      throw error;
+      log("Could not read folders:", error);
+      return [];
     }
   }
 
@@ -393,59 +5089,19 @@
   // UI Observation & Navigation Handling
   // ----------------------------------------
   /**
-   * Sets up a MutationObserver to monitor for the presence of the chat input action bar.
-   * Injects or removes the reference button as appropriate.
+   * Sets up a MutationObserver that keeps the button in step with the page.
+   * Any strategy may start or stop matching after a change, so every element added or removed
+   * schedules a (debounced) check instead of looking for one particular node.
    */
   function setupObserver() {
     if (observerActive) return;
     try {
       const observer = new MutationObserver((mutations) => {
-        let shouldCheck = false;
-        let shouldRemove = false;
-
-        for (const mutation of mutations) {
-          if (mutation.type !== 'childList') continue;
-          // Check for addition of chat input bar
-          for (const node of mutation.addedNodes) {
-            if (node.nodeType !== 1) continue; // elements only
-            if (
-              (node.getAttribute && node.getAttribute('data-element-id') === 'chat-input-actions') ||
-              (node.querySelector && node.querySelector('[data-element-id="chat-input-actions"]'))
-            ) {
-              shouldCheck = true;
-              break;
-            }
-          }
-          // Check for removal of chat input bar
-          for (const node of mutation.removedNodes) {
-            if (node.nodeType !== 1) continue;
-            if (
-              (node.getAttribute && node.getAttribute('data-element-id') === 'chat-input-actions') ||
-              (node.querySelector && node.querySelector('[data-element-id="chat-input-actions"]'))
-            ) {
-              shouldRemove = true;
-              break;
-            }
-          }
-          if (shouldCheck || shouldRemove) break;
-        }
-
-        if (shouldCheck) {
-          clearTimeout(window.convoRefDebounce);
-          window.convoRefDebounce = setTimeout(() => {
-            log('Chat UI changed, checking for button injection');
-            addReferenceButton();
-          }, 500);
-        }
-        if (shouldRemove) {
-          clearTimeout(window.convoRefDebounce);
-          window.convoRefDebounce = setTimeout(() => {
-            log('Chat UI changed, checking for button removal');
-            if (!findChatActionBar()) {
-              removeReferenceButton();
-            }
-          }, 500);
-        }
+        const changed = mutations.some(mutation =>
+          Array.from(mutation.addedNodes).concat(Array.from(mutation.removedNodes)).some(node => node.nodeType === 1));
+        if (!changed) return;
+        clearTimeout(window.convoRefDebounce);
+        window.convoRefDebounce = setTimeout(syncReferenceButton, 500);
       });
 
       observer.observe(document.body, { childList: true, subtree: true });
@@ -473,7 +5129,7 @@
     buttonAdded = false; // Need to re-add button
 
     setTimeout(() => {
-      if (findChatActionBar()) {
+      if (findButtonPlacement()) {
         if (addReferenceButton()) {
           log('Button added after navigation');
         }
@@ -522,6 +5178,19 @@
     if (window.convoRefDebounce) {
       clearTimeout(window.convoRefDebounce);
     }
+    stopInlineTrigger();
+    if (themeObserver) {
+      themeObserver.disconnect();
+      themeObserver = null;
+    }
+    themedRoots.clear();
+    document.removeEventListener('keydown', handleGlobalShortcut);
+    document.removeEventListener('keydown', handleSendKeydown, true);
+    document.removeEventListener('click', handleSendClick, true);
+    document.removeEventListener('input', handleRelatedInput, true);
+    clearTimeout(relatedTimer);
+    stopSimilarityWorker();
+    hideToast();
 
     // Restore original history methods
     history.pushState = originalPushState;
@@ -533,10 +5202,22 @@
   // ----------------------------------------
   // Initialization
   // ----------------------------------------
+  applySettings(loadSettings());
   log(`Conversation Reference Extension v${CONFIG.version} initializing...`);
 
+  // The inline trigger listens at document level, so it works even when the button can't be injected
+  syncInlineTrigger();
+  document.addEventListener('keydown', handleGlobalShortcut);
+  // Live-link tokens are expanded on send wherever they came from, including hand-typed ones
+  document.addEventListener('keydown', handleSendKeydown, true);
+  document.addEventListener('click', handleSendClick, true);
+  // Checks CONFIG.relatedSuggestions on every keystroke, so the setting can be switched without reloading
+  document.addEventListener('input', handleRelatedInput, true);
+
   // Delay first check to ensure UI has initialized
   setTimeout(() => {
+    // Build the chat index in the background so the first opening doesn't have to wait for it
+    refreshChatIndex().catch(error => log("Error building chat index:", error));
     setupObserver();
     setTimeout(() => {
       if (addReferenceButton()) {
@@ -553,6 +5234,10 @@
   window.convoRef = {
     addButton: addReferenceButton,
     cleanup: cleanup,
+    summarize: summarizeChat,
+    config: CONFIG,
+    resetSettings: resetSettings,
+    diagnose: diagnose,
     version: CONFIG.version
   };
 })();
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closePage, openPicker, makeChat, sleep } = require('./helpers/extension');
+
+const INTERACTIVE = 'a[href], button, input, select, textarea, [tabindex]';
+
+function pressAlt(window, target, letter) {
+  target.dispatchEvent(new window.KeyboardEvent('keydown', { key: letter.toLowerCase(), code: 'Key' + letter, altKey: true, bubbles: true, cancelable: true }));
+}
+
+test('options hold no reachable controls; the toolbar and Alt shortcuts act on the highlighted chat', async () => {
+  const { dom, window, document } = await loadExtension({ chats: [makeChat('alpha'), makeChat('beta')] });
+  try {
+    const modal = await openPicker(window);
+    const options = modal.querySelectorAll('[role="listbox"] [role="option"]');
+    assert.ok(options.length > 0);
+    options.forEach(option => option.querySelectorAll(INTERACTIVE).forEach(control => {
+      assert.equal(control.tabIndex, -1);
+      assert.ok(control.closest('[aria-hidden="true"]'), control.outerHTML);
+    }));
+
+    const toolbar = modal.querySelector('[role="toolbar"]');
+    assert.equal(toolbar.hidden, false);
+    assert.equal(toolbar.getAttribute('aria-controls'), 'tm-reference-chat-list');
+    assert.equal(toolbar.closest('[role="listbox"]'), null);
+
+    const search = document.getElementById('tm-reference-search-input');
+    const active = () => document.getElementById(search.getAttribute('aria-activedescendant'));
+    const [basketButton, pinButton] = toolbar.querySelectorAll('button');
+
+    pressAlt(window, search, 'B');
+    for (let i = 0; i < 50 && !modal.querySelector('.tm-ref-basket-item'); i++) await sleep(20);
+    assert.equal(modal.querySelectorAll('.tm-ref-basket-item').length, 1);
+    assert.equal(active().getAttribute('aria-checked'), 'true');
+    assert.equal(basketButton.getAttribute('aria-pressed'), 'true');
+
+    pressAlt(window, search, 'P');
+    assert.equal(pinButton.getAttribute('aria-pressed'), 'true');
+    assert.match(modal.querySelector('#tm-reference-quick').textContent, /Chat (alpha|beta)/);
+
+    basketButton.click();
+    assert.equal(modal.querySelectorAll('.tm-ref-basket-item').length, 0);
+    assert.equal(active().getAttribute('aria-checked'), 'false');
+    assert.equal(basketButton.getAttribute('aria-pressed'), 'false');
+  } finally {
+    closePage(dom);
+  }
+});
+
+test('the button advertises the shortcut the handler listens for on each platform', async () => {
+  for (const [platform, expected, modifier] of [['Win32', 'Control+Alt+R', 'ctrlKey'], ['MacIntel', 'Meta+Alt+R', 'metaKey']]) {
+    const { dom, window, document } = await loadExtension({ chats: [makeChat('alpha')] });
+    try {
+      Object.defineProperty(window.navigator, 'platform', { get: () => platform });
+      window.convoRef.addButton();
+      assert.equal(document.getElementById('reference-chat-button').getAttribute('aria-keyshortcuts'), expected);
+
+      document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'r', code: 'KeyR', altKey: true, [modifier]: true, bubbles: true }));
+      for (let i = 0; i < 50 && !document.getElementById('tm-reference-chat-modal'); i++) await sleep(20);
+      assert.ok(document.getElementById('tm-reference-chat-modal'), platform);
+    } finally {
+      closePage(dom);
+    }
+  }
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closePage, makeChat, sleep } = require('./helpers/extension');
+
+// Settles with 'timeout' instead of hanging the test when a scan never finishes
+function within(promise, ms) {
+  return Promise.race([promise, sleep(ms).then(() => 'timeout')]);
+}
+
+test('chats stored without a message array are indexed, on the first scan and every later one', async () => {
+  const chats = [
+    makeChat('broken', { chatTitle: 'Imported chat', messages: null }),
+    makeChat('odd', { chatTitle: 'Odd chat', messages: { 0: 'not an array' } }),
+    makeChat('fine')
+  ];
+  const { dom, window } = await loadExtension({ chats: chats, expose: ['refreshChatIndex'] });
+  try {
+    const refresh = window.__convoRefInternals.refreshChatIndex;
+    for (let scan = 0; scan < 3; scan++) {
+      const result = await within(refresh(), 2000);
+      assert.notEqual(result, 'timeout', 'scan ' + scan);
+      assert.deepEqual(Array.from(result, chat => chat.chatTitle).sort(), ['Chat fine', 'Imported chat', 'Odd chat']);
+    }
+  } finally {
+    closePage(dom);
+  }
+});
+
+test('search snippets keep the original case, and the end of a long chat is searchable', async () => {
+  const filler = 'lorem ipsum dolor sit amet. '.repeat(400);
+  const chats = [
+    makeChat('k8s', { messages: [{ role: 'user', content: 'How do I roll out a Kubernetes Deployment on AWS?' }] }),
+    makeChat('long', { messages: [
+      { role: 'user', content: 'Start of a long chat. ' + filler },
+      { role: 'assistant', content: filler + 'Middle part. ' + filler },
+      { role: 'user', content: filler + 'Conclusion: use PostgreSQL.' }
+    ] })
+  ];
+  const { dom, window } = await loadExtension({ chats: chats, expose: ['refreshChatIndex', 'searchChats'] });
+  try {
+    window.convoRef.config.searchIndexMaxChars = 20000;
+    const { refreshChatIndex, searchChats } = window.__convoRefInternals;
+    const indexed = await refreshChatIndex();
+    const search = query => Array.from(searchChats(indexed, query), result => ({ id: result.chat.id, snippet: result.snippet }));
+
+    const [k8s] = search('kubernetes deployment');
+    assert.equal(k8s.id, 'k8s');
+    assert.match(k8s.snippet, /roll out a <mark>Kubernetes<\/mark> <mark>Deployment<\/mark> on AWS/);
+
+    assert.deepEqual(search('start of a long').map(result => result.id), ['long']);
+    const [tail] = search('postgresql');
+    assert.equal(tail.id, 'long');
+    assert.match(tail.snippet, /use <mark>PostgreSQL<\/mark>\./);
+    assert.deepEqual(search('middle part'), []);
+  } finally {
+    closePage(dom);
+  }
+});
@@ -0,0 +1,121 @@
+// Loads convo-reference.js into a jsdom page backed by fake-indexeddb, the way TypingMind runs it.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const SCRIPT_PATH = path.join(__dirname, '..', '..', 'convo-reference.js');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const SCRIPT = fs.readFileSync(SCRIPT_PATH, 'utf8');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name + '.html'), 'utf8');
+}
+
+/**
+ * Builds a chat as TypingMind stores it.
+ * @param {string} id - Chat id, also used for the keyval key.
+ * @param {Object} [overrides] - Fields to replace.
+ * @returns {Object} The chat.
+ */
+function makeChat(id, overrides) {
+  return Object.assign({
+    id: id,
+    chatID: id,
+    chatTitle: 'Chat ' + id,
+    model: 'gpt-4o',
+    createdAt: '2025-01-01T00:00:00.000Z',
+    updatedAt: '2025-02-01T00:00:00.000Z',
+    messages: [
+      { role: 'user', content: 'Question in ' + id },
+      { role: 'assistant', content: 'Answer in ' + id }
+    ]
+  }, overrides);
+}
+
+function seedChats(window, chats) {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open('keyval-store', 1);
+    request.onupgradeneeded = () => request.result.createObjectStore('keyval');
+    request.onsuccess = () => {
+      const transaction = request.result.transaction('keyval', 'readwrite');
+      chats.forEach(chat => transaction.objectStore('keyval').put(chat, 'CHAT_' + chat.id));
+      transaction.oncomplete = () => {
+        request.result.close();
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens a page and runs the extension in it.
+ * @param {Object} [options]
+ * @param {string} [options.fixture] - Name of an HTML file in test/fixtures (default 'classic').
+ * @param {Array<Object>} [options.chats] - Chats to put in the keyval store first.
+ * @param {Array<string>} [options.expose] - Internal functions to publish as window.__convoRefInternals.
+ * @returns {Promise<{dom: JSDOM, window: Window, document: Document}>}
+ */
+async function loadExtension(options = {}) {
+  const dom = new JSDOM(readFixture(options.fixture || 'classic'), {
+    url: 'https://www.typingmind.com/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole()
+  });
+  const window = dom.window;
+  window.indexedDB = new IDBFactory();
+  window.IDBKeyRange = IDBKeyRange;
+  window.alerts = [];
+  window.alert = message => window.alerts.push(message);
+  await seedChats(window, options.chats || []);
+
+  let source = SCRIPT;
+  if (options.expose) {
+    // The script is one IIFE; publish the requested internals just before it closes
+    const end = source.lastIndexOf('})();');
+    source = source.slice(0, end) + 'window.__convoRefInternals = { ' + options.expose.join(', ') + ' };\n' + source.slice(end);
+  }
+  window.eval(source);
+  return { dom: dom, window: window, document: window.document };
+}
+
+/**
+ * Stops the extension and the page, so no timers keep the test process alive.
+ * @param {JSDOM} dom - Page from loadExtension.
+ */
+function closePage(dom) {
+  dom.window.convoRef.cleanup();
+  dom.window.close();
+}
+
+/**
+ * Opens the picker and waits for the chat list to render.
+ * @param {Window} window - Page window.
+ * @returns {Promise<HTMLElement>} The modal.
+ */
+async function openPicker(window) {
+  window.convoRef.addButton();
+  window.document.getElementById('reference-chat-button').click();
+  for (let i = 0; i < 50 && !window.document.querySelector('.tm-ref-virtual-row'); i++) await sleep(20);
+  return window.document.getElementById('tm-reference-chat-modal');
+}
+
+/**
+ * Hovers a chat row and waits for its preview.
+ * @param {Window} window - Page window.
+ * @param {HTMLElement} row - Row in the chat list.
+ * @returns {Promise<HTMLElement>} The preview pane.
+ */
+async function previewRow(window, row) {
+  row.querySelector('.tm-ref-row-title').dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true }));
+  const pane = window.document.getElementById('tm-reference-preview');
+  for (let i = 0; i < 50 && !pane.querySelector('.tm-ref-preview-insert'); i++) await sleep(20);
+  return pane;
+}
+
+module.exports = { loadExtension, closePage, openPicker, previewRow, makeChat, sleep };
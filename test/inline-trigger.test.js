@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closePage, makeChat, sleep } = require('./helpers/extension');
+
+async function typeAndWaitForPicker(window, text) {
+  const textarea = window.document.getElementById('chat-input-textbox');
+  textarea.focus();
+  textarea.value = text;
+  textarea.setSelectionRange(text.length, text.length);
+  textarea.dispatchEvent(new window.Event('input', { bubbles: true }));
+  let picker = null;
+  for (let i = 0; i < 15 && !picker; i++) {
+    await sleep(20);
+    picker = window.document.querySelector('#tm-reference-inline-picker .tm-ref-inline-title');
+  }
+  textarea.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  return picker ? picker.textContent : null;
+}
+
+test('the inline trigger follows the setting without a reload', async () => {
+  const { dom, window } = await loadExtension({ chats: [makeChat('deploy', { chatTitle: 'Deploy notes' })], expose: ['updateSettings'] });
+  try {
+    const { updateSettings } = window.__convoRefInternals;
+    assert.equal(await typeAndWaitForPicker(window, 'see @@deploy'), 'Deploy notes');
+
+    updateSettings({ inlineTrigger: '//' });
+    assert.equal(await typeAndWaitForPicker(window, 'see @@deploy'), null);
+    assert.equal(await typeAndWaitForPicker(window, 'see //deploy'), 'Deploy notes');
+
+    updateSettings({ inlineTrigger: '' });
+    assert.equal(await typeAndWaitForPicker(window, 'see //deploy'), null);
+    assert.equal(await typeAndWaitForPicker(window, 'see @@deploy'), null);
+
+    updateSettings({});
+    assert.equal(await typeAndWaitForPicker(window, 'see @@deploy'), 'Deploy notes');
+  } finally {
+    closePage(dom);
+  }
+});
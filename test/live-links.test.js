@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closePage, makeChat, sleep } = require('./helpers/extension');
+
+async function setup(config) {
+  const page = await loadExtension({ chats: [makeChat('alpha')] });
+  Object.assign(page.window.convoRef.config, config);
+  const { window, document } = page;
+  const textarea = document.getElementById('chat-input-textbox');
+  const sendButton = document.querySelector('[data-element-id="send-button"]');
+  const sends = [];
+  sendButton.addEventListener('click', () => sends.push(textarea.value));
+  document.querySelector('form').addEventListener('submit', event => event.preventDefault());
+  textarea.focus();
+  textarea.value = 'See [[ref:alpha]] please';
+  const press = init => {
+    const event = new window.KeyboardEvent('keydown', Object.assign({ key: 'Enter', code: 'Enter', bubbles: true, cancelable: true }, init));
+    textarea.dispatchEvent(event);
+    return event;
+  };
+  const waitForSend = async () => {
+    for (let i = 0; i < 50 && !sends.length; i++) await sleep(20);
+  };
+  return Object.assign(page, { textarea, sends, press, waitForSend });
+}
+
+test('the send key expands tokens and then clicks the send button', async () => {
+  const { dom, textarea, sends, press, waitForSend } = await setup();
+  try {
+    assert.equal(press({}).defaultPrevented, true);
+    await waitForSend();
+    assert.equal(sends.length, 1);
+    assert.match(sends[0], /^See [\s\S]*Question in alpha[\s\S]*Answer in alpha[\s\S]* please$/);
+    assert.equal(textarea.value.includes('[[ref:'), false);
+  } finally {
+    closePage(dom);
+  }
+});
+
+test('keys that do not send are left alone', async () => {
+  const { dom, window, textarea, sends, press, waitForSend } = await setup({ sendShortcut: 'Mod+Enter' });
+  try {
+    Object.defineProperty(window.navigator, 'platform', { get: () => 'Win32' });
+    assert.equal(press({}).defaultPrevented, false);
+    assert.equal(press({ shiftKey: true }).defaultPrevented, false);
+    await sleep(100);
+    assert.equal(sends.length, 0);
+    assert.equal(textarea.value, 'See [[ref:alpha]] please');
+
+    assert.equal(press({ ctrlKey: true }).defaultPrevented, true);
+    await waitForSend();
+    assert.equal(sends.length, 1);
+    assert.match(sends[0], /Question in alpha/);
+  } finally {
+    closePage(dom);
+  }
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closePage } = require('./helpers/extension');
+
+// Each fixture is a TypingMind DOM variant: where the button should go and which strategy finds the chat input
+const CHAT_PAGES = [
+  { fixture: 'classic', input: 'textbox-id', inputSelector: '#chat-input-textbox', placement: 'actions-left-group', parent: '.flex.items-center.justify-start' },
+  { fixture: 'actions-without-left-group', input: 'textbox-element-id', inputSelector: '[data-element-id="chat-input-textbox"]', placement: 'actions-bar', parent: '[data-element-id="chat-input-actions"]' },
+  { fixture: 'labelled-form', input: 'send-button-form', inputSelector: 'form textarea', placement: 'send-button-row', parent: '.composer-row' },
+  { fixture: 'toolbar-form', input: 'textbox-id', inputSelector: '#chat-input-textbox', placement: 'input-form-toolbar', parent: '[role="toolbar"]' },
+  { fixture: 'input-only', input: 'textbox-id', inputSelector: '#chat-input-textbox', placement: 'floating', parent: '#tm-reference-floating' }
+];
+
+function firstMatch(results) {
+  const match = results.find(result => result.matched);
+  return match ? match.strategy : null;
+}
+
+for (const page of CHAT_PAGES) {
+  test(`${page.fixture}: finds the chat input and places the button`, async () => {
+    const { dom, document } = await loadExtension({ fixture: page.fixture });
+    try {
+      const report = dom.window.convoRef.diagnose();
+      assert.equal(firstMatch(report.chatInput), page.input);
+      assert.equal(report.chatInput.find(result => result.matched).element, document.querySelector(page.inputSelector));
+      assert.equal(report.placement, page.placement);
+
+      assert.equal(dom.window.convoRef.addButton(), true);
+      const container = document.getElementById('tm-reference-chat-button-container');
+      assert.equal(container.parentElement, document.querySelector(page.parent));
+    } finally {
+      closePage(dom);
+    }
+  });
+}
+
+// Forms with a textarea and a submit button that are not the chat box
+for (const fixture of ['plugin-page', 'settings-page']) {
+  test(`${fixture}: no chat input, send button or reference button`, async () => {
+    const { dom, document } = await loadExtension({ fixture: fixture });
+    try {
+      const report = dom.window.convoRef.diagnose();
+      assert.equal(firstMatch(report.chatInput), null);
+      assert.equal(firstMatch(report.actionBar), null);
+      assert.equal(report.sendButton, false);
+      assert.equal(report.placement, 'none');
+
+      assert.equal(dom.window.convoRef.addButton(), false);
+      assert.equal(document.getElementById('tm-reference-chat-button-container'), null);
+      assert.equal(document.getElementById('tm-reference-floating'), null);
+    } finally {
+      closePage(dom);
+    }
+  });
+}
+
+test('the floating button moves into the action bar when one appears, and goes when the chat page does', async () => {
+  const { dom, document } = await loadExtension({ fixture: 'input-only' });
+  try {
+    dom.window.convoRef.addButton();
+    assert.ok(document.querySelector('#tm-reference-floating #tm-reference-chat-button-container'));
+
+    const bar = document.createElement('div');
+    bar.setAttribute('data-element-id', 'chat-input-actions');
+    bar.innerHTML = '<div class="flex items-center justify-start"></div>';
+    document.getElementById('app').appendChild(bar);
+    dom.window.convoRef.addButton();
+    assert.equal(document.getElementById('tm-reference-chat-button-container').parentElement, bar.firstElementChild);
+    assert.equal(document.getElementById('tm-reference-floating'), null);
+
+    document.getElementById('app').innerHTML = '<p>Plugins</p>';
+    dom.window.convoRef.addButton();
+    assert.equal(document.getElementById('tm-reference-chat-button-container'), null);
+  } finally {
+    closePage(dom);
+  }
+});
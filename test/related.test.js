@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closePage, makeChat, sleep } = require('./helpers/extension');
+
+function typePrompt(window, textarea, text) {
+  textarea.value = text;
+  textarea.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+test('typing looks up related chats without rescanning the store', async () => {
+  const chats = [];
+  for (let i = 0; i < 50; i++) {
+    chats.push(makeChat('chat' + i, {
+      chatTitle: i === 7 ? 'Kubernetes deployment checklist' : 'Chat ' + i,
+      messages: [
+        { role: 'user', content: i === 7 ? 'How do I roll out a kubernetes deployment with health checks?' : 'Recipe number ' + i + ' with basil' },
+        { role: 'assistant', content: i === 7 ? 'Use readiness probes and a rolling update strategy.' : 'Chop the basil finely.' }
+      ]
+    }));
+  }
+  const { dom, window, document } = await loadExtension({ chats: chats });
+  try {
+    const config = window.convoRef.config;
+    const textarea = document.getElementById('chat-input-textbox');
+    // Startup builds the index once, after CONFIG.initialCheckDelay
+    await sleep(config.initialCheckDelay + 300);
+
+    let opens = 0;
+    const open = window.indexedDB.open.bind(window.indexedDB);
+    window.indexedDB.open = (...args) => {
+      opens++;
+      return open(...args);
+    };
+    window.convoRef.addButton();
+    for (const prompt of ['kubernetes deployment rollout', 'kubernetes deployment rollout with health checks',
+      'kubernetes deployment rollout with readiness probes']) {
+      typePrompt(window, textarea, prompt);
+      await sleep(config.relatedDebounce + 150);
+    }
+
+    assert.equal(opens, 0);
+    assert.equal(document.querySelector('#reference-chat-button .tm-ref-related-badge').textContent, '1');
+  } finally {
+    closePage(dom);
+  }
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closePage, openPicker, previewRow, makeChat, sleep } = require('./helpers/extension');
+
+// Chat data is user (or AI) controlled: none of it may be parsed as markup anywhere it's shown
+const HOSTILE_TITLE = '<img src=x onerror="window.pwned = 1">Hostile';
+const HOSTILE_MODEL = '<b onmouseover="window.pwned = 1">gpt-4o</b>';
+const HOSTILE_MESSAGE = 'See [this](javascript:window.pwned=1) <img src=x onerror="window.pwned = 1"> <svg onload="window.pwned = 1"></svg>';
+
+function hostileChats() {
+  return [makeChat('hostile', {
+    chatTitle: HOSTILE_TITLE,
+    model: HOSTILE_MODEL,
+    messages: [
+      { role: 'user', content: HOSTILE_MESSAGE },
+      { role: 'assistant', content: 'Plain answer' }
+    ]
+  })];
+}
+
+function assertNoInjectedMarkup(window, root) {
+  assert.equal(root.querySelectorAll('img, svg, script, [onerror], [onload], [onmouseover]').length, 0);
+  root.querySelectorAll('a[href]').forEach(link => assert.match(link.getAttribute('href'), /^(https?:|mailto:|#)/));
+  assert.equal(window.pwned, undefined);
+}
+
+test('chat rows show hostile titles and models as text', async () => {
+  const { dom, window } = await loadExtension({ chats: hostileChats() });
+  try {
+    const modal = await openPicker(window);
+    const row = modal.querySelector('.tm-ref-virtual-row');
+    assert.equal(row.querySelector('.tm-ref-row-title').textContent, HOSTILE_TITLE);
+    assert.equal(row.querySelector('.tm-ref-row-model').textContent, HOSTILE_MODEL);
+    assertNoInjectedMarkup(window, modal);
+  } finally {
+    closePage(dom);
+  }
+});
+
+test('the preview shows hostile titles as text and sanitizes rendered messages', async () => {
+  const { dom, window } = await loadExtension({ chats: hostileChats() });
+  try {
+    const modal = await openPicker(window);
+    const pane = await previewRow(window, modal.querySelector('.tm-ref-virtual-row'));
+    assert.equal(pane.querySelector('.tm-ref-preview-title').textContent, HOSTILE_TITLE);
+    assert.match(pane.querySelector('.tm-ref-preview-messages').textContent, /<img src=x/);
+    assertNoInjectedMarkup(window, pane);
+  } finally {
+    closePage(dom);
+  }
+});
+
+test('the basket lists hostile titles as text', async () => {
+  const { dom, window } = await loadExtension({ chats: hostileChats() });
+  try {
+    const modal = await openPicker(window);
+    modal.querySelector('.tm-reference-chat-select').click();
+    let item = null;
+    for (let i = 0; i < 50 && !item; i++) {
+      await sleep(20);
+      item = modal.querySelector('.tm-ref-basket-item');
+    }
+    assert.ok(item.textContent.startsWith('1. ' + HOSTILE_TITLE));
+    assertNoInjectedMarkup(window, modal);
+  } finally {
+    closePage(dom);
+  }
+});
+
+test('the inline picker shows hostile titles as text', async () => {
+  const { dom, window, document } = await loadExtension({ chats: hostileChats() });
+  try {
+    const textarea = document.getElementById('chat-input-textbox');
+    textarea.focus();
+    textarea.value = '@@hostile';
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    textarea.dispatchEvent(new window.Event('input', { bubbles: true }));
+    let title = null;
+    for (let i = 0; i < 50 && !title; i++) {
+      await sleep(20);
+      title = document.querySelector('#tm-reference-inline-picker .tm-ref-inline-title');
+    }
+    assert.equal(title.textContent, HOSTILE_TITLE);
+    assertNoInjectedMarkup(window, document.getElementById('tm-reference-inline-picker'));
+  } finally {
+    closePage(dom);
+  }
+});
+
+test('sanitizeHtml keeps allowlisted markup and drops everything else', async () => {
+  const { dom, window, document } = await loadExtension({ expose: ['sanitizeHtml'] });
+  const sanitize = html => {
+    const container = document.createElement('div');
+    container.appendChild(window.__convoRefInternals.sanitizeHtml(html));
+    return container.innerHTML;
+  };
+  try {
+    assert.equal(sanitize('<a href="javascript:alert(1)">x</a>'), '<a target="_blank" rel="noopener noreferrer">x</a>');
+    assert.equal(sanitize('<a href=" java\nscript:alert(1)">x</a>'), '<a target="_blank" rel="noopener noreferrer">x</a>');
+    assert.equal(sanitize('<a href="data:text/html,<script>alert(1)</script>">x</a>'), '<a target="_blank" rel="noopener noreferrer">x</a>');
+    assert.equal(sanitize('<a href="https://example.com" onclick="alert(1)">ok</a>'),
+      '<a href="https://example.com" target="_blank" rel="noopener noreferrer">ok</a>');
+    assert.equal(sanitize('<p onclick="alert(1)" onmouseover="alert(2)" style="color:red">text</p>'), '<p>text</p>');
+    assert.equal(sanitize('<img src=x onerror="alert(1)">after'), 'after');
+    assert.equal(sanitize('<svg onload="alert(1)"><script>alert(2)</script><text>drawn</text></svg>kept'), 'kept');
+    assert.equal(sanitize('<style>body { display: none }</style><mark>hit</mark>'), '<mark>hit</mark>');
+    assert.equal(sanitize('<div><iframe src="https://evil.test"></iframe><span class="x" id="y">in</span></div>'), '<span class="x">in</span>');
+    assert.equal(sanitize('<!-- <img src=x onerror=alert(1)> -->&lt;b&gt;'), '&lt;b&gt;');
+    assert.equal(window.pwned, undefined);
+  } finally {
+    closePage(dom);
+  }
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closePage, openPicker, makeChat, sleep } = require('./helpers/extension');
+
+// Counts observers currently watching <html>, so the theme observer's lifetime can be checked
+function trackRootObservers(window) {
+  const watching = new Set();
+  const Native = window.MutationObserver;
+  window.MutationObserver = class extends Native {
+    observe(target, options) {
+      if (target === window.document.documentElement) watching.add(this);
+      return super.observe(target, options);
+    }
+    disconnect() {
+      watching.delete(this);
+      return super.disconnect();
+    }
+  };
+  return watching;
+}
+
+test('the theme is followed while the picker is open, and no longer watched once it closes', async () => {
+  const { dom, window, document } = await loadExtension({ chats: [makeChat('alpha')] });
+  try {
+    const watching = trackRootObservers(window);
+    const modal = await openPicker(window);
+    assert.equal(watching.size, 1);
+
+    document.documentElement.classList.add('dark');
+    await sleep(0);
+    assert.equal(modal.getAttribute('data-theme'), 'dark');
+
+    modal.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    assert.equal(document.getElementById('tm-reference-chat-modal'), null);
+    assert.equal(watching.size, 0);
+
+    const reopened = await openPicker(window);
+    assert.equal(reopened.getAttribute('data-theme'), 'dark');
+    assert.equal(watching.size, 1);
+  } finally {
+    closePage(dom);
+  }
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, closePage, makeChat } = require('./helpers/extension');
+
+// Quotes, backslashes, newlines and angle brackets grow when the JSON and XML templates escape them
+const ESCAPE_HEAVY = 'He said "use <b>\\\\n</b>" & "quote \\"this\\"" here\n'.repeat(6);
+
+function longChat(turns) {
+  const messages = [];
+  for (let i = 0; i < turns; i++) {
+    messages.push({ role: 'user', content: 'Question ' + i + ': ' + ESCAPE_HEAVY });
+    messages.push({ role: 'assistant', content: 'Answer ' + i + ': ' + ESCAPE_HEAVY });
+  }
+  return makeChat('long', { messages: messages });
+}
+
+test('a trimmed reference fits the budget once the template has rendered it', async () => {
+  const { dom, window } = await loadExtension({ expose: ['applyTokenBudget', 'formatReference', 'getReferenceMessages', 'estimateTokens'] });
+  try {
+    const { applyTokenBudget, formatReference, getReferenceMessages, estimateTokens } = window.__convoRefInternals;
+    const chat = longChat(40);
+    const budget = 3000;
+    for (const template of ['plain', 'markdown', 'xml', 'json']) {
+      const full = estimateTokens(formatReference(chat, getReferenceMessages(chat), template));
+      assert.ok(full > budget * 2, template + ' is over budget to begin with');
+      for (const strategy of ['recent', 'head-tail']) {
+        const kept = applyTokenBudget(chat, getReferenceMessages(chat), strategy, budget, template);
+        const size = estimateTokens(formatReference(chat, kept, template));
+        assert.ok(size <= budget, `${template}/${strategy}: ${size} tokens for a budget of ${budget}`);
+        assert.ok(size > budget * 0.8, `${template}/${strategy}: ${size} tokens leaves most of the budget unused`);
+      }
+    }
+  } finally {
+    closePage(dom);
+  }
+});